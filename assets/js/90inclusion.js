@@ -1,33 +1,6 @@
-function calculatePercentile(values, percentile) {
-  const sorted = [...values].sort((a, b) => a - b);
-  const index = Math.ceil((percentile / 100) * sorted.length) - 1;
-  return sorted[index];
-}
-
-function calculateInclusionWindowForFrequency(values) {
-  const lowerPercentile = calculatePercentile(values, 5); // 5th percentile
-  const upperPercentile = calculatePercentile(values, 95); // 95th percentile
-
-  return {
-      lower: lowerPercentile,
-      upper: upperPercentile,
-  };
-}
-
+// The 5th / 95th percentile math is in GraphCore so Node scripts get the same bounds
 function calculateInclusionWindows(rawChannels) {
-  const numFrequencies = rawChannels[0].length; // 480 ppo
-
-  const upperBounds = [];
-  const lowerBounds = [];
-
-  for (let i = 0; i < numFrequencies; i++) {
-      const frequency = rawChannels[0][i][0]; // assumes all measurements have the same frequencies
-      const dbValues = rawChannels.map(channel => channel[i][1]);
-
-      const inclusionWindow = calculateInclusionWindowForFrequency(dbValues);
-      upperBounds.push([frequency, inclusionWindow.upper]);
-      lowerBounds.push([frequency, inclusionWindow.lower]);
-  }
+  const [upperBounds, lowerBounds] = GraphCore.calculateInclusionWindows(rawChannels);
 
   // Prompt user to download bounds
     function downloadFile(data, filename) {
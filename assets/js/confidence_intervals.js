@@ -1,40 +1,6 @@
-function calculateMean(values) {
-  const sum = values.reduce((acc, val) => acc + val, 0);
-  return sum / values.length;
-}
-
-function calculateStandardDeviation(values, mean) {
-  const variance = values.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / values.length;
-  return Math.sqrt(variance);
-}
-
-function calculateConfidenceIntervalForFrequency(values) {
-  const mean = calculateMean(values);
-  const stdev = calculateStandardDeviation(values, mean);
-  const n = values.length;
-
-  const marginOfError = 1.645 * (stdev / Math.sqrt(n));
-
-  return {
-      lower: mean - marginOfError,
-      upper: mean + marginOfError,
-  };
-}
-
+// The mean +- 1.645 standard errors math is in GraphCore so Node scripts get the same bounds
 function calculateConfidenceIntervals(rawChannels) {
-  const numFrequencies = rawChannels[0].length; // 480 ppo
-
-  const upperBounds = [];
-  const lowerBounds = [];
-
-  for (let i = 0; i < numFrequencies; i++) {
-      const frequency = rawChannels[0][i][0]; // assumes all measurements have the same frequencies
-      const dBs = rawChannels.map(measurement => measurement[i][1]); 
-
-      const confidenceInterval = calculateConfidenceIntervalForFrequency(dBs);
-        upperBounds.push([frequency, confidenceInterval.upper]);
-        lowerBounds.push([frequency, confidenceInterval.lower]);
-  }
+  const [upperBounds, lowerBounds] = GraphCore.calculateConfidenceIntervals(rawChannels);
 
   console.log([upperBounds, lowerBounds]);
 
@@ -73,20 +39,7 @@ function setBoundsPhone(p, ch) {
 
 // Calculate min/max spread for frequency response data
 function calculateMinMaxSpread(rawChannels) {
-  const numFrequencies = rawChannels[0].length;
-  const upperBounds = [];
-  const lowerBounds = [];
-
-  for (let i = 0; i < numFrequencies; i++) {
-      const frequency = rawChannels[0][i][0];
-      const dBs = rawChannels.map(measurement => measurement[i][1]);
-      const minValue = Math.min(...dBs);
-      const maxValue = Math.max(...dBs);
-      upperBounds.push([frequency, maxValue]);
-      lowerBounds.push([frequency, minValue]);
-  }
-
-  return [upperBounds, lowerBounds];
+  return GraphCore.calculateMinMaxSpread(rawChannels);
 }
 
 const spreadName = " Measurement Spread";
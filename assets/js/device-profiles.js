@@ -0,0 +1,208 @@
+/**
+ * Device Profiles Module
+ * Registry of EQ device limits used to constrain AutoEQ and exports: filter slots with
+ * the types each slot can load, frequency/Q/gain ranges and their quantisation steps.
+ *
+ * Profile shape:
+ *   {
+ *     name,                                   // Display name
+ *     freqRange, qRange, gainRange,           // [min, max], null to use AutoEQ settings
+ *     slots: [{ name, types, step }] | null,  // null to use EQ band count with `slot`
+ *     slot: { types, step }                   // Slot template when slots is null
+ *   }
+ *   step is { freq, q, gain } or null for no quantisation, a missing value is not quantised
+ *
+ * Usage:
+ *   DeviceProfiles.list();                    // [{ id, name }]
+ *   DeviceProfiles.get("totalmix");
+ *   DeviceProfiles.getSlots(profile, count);
+ *   DeviceProfiles.fitFilters(profile, filters); // { filters, modifications } or { error }
+ *   DeviceProfiles.quantize(0.72, 0.1);       // 0.7, not 0.7000000000000001
+ *   DeviceProfiles.register("my-dsp", profile);
+ */
+const DeviceProfiles = (function() {
+    'use strict';
+
+    // ===========================================
+    // Helpers
+    // ===========================================
+    function repeat(count, slot, prefix, first = 1) {
+        return new Array(count).fill(null).map((_, i) => ({ ...slot, name: prefix + (i + first) }));
+    }
+
+    function quantize(value, step) {
+        // Round to the step and drop float noise, e.g. 0.30000000000000004
+        let decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        return parseFloat((Math.round(value / step) * step).toFixed(decimals));
+    }
+
+    function clamp(value, range) {
+        return range ? Math.min(Math.max(value, range[0]), range[1]) : value;
+    }
+
+    const allBiquads = ["PK", "LSQ", "HSQ", "LS6", "HS6", "LS12", "HS12",
+        "HPQ", "LPQ", "HP", "LP", "HP24", "LP24", "NO", "BP", "AP"];
+
+    // ===========================================
+    // Built-in Profiles
+    // ===========================================
+    // TotalMix Room EQ takes 2 decimals, PEQ is limited to 1 Hz, 0.1 Q and 0.5 dB steps
+    const totalMixREQ = { types: ["PK"], step: { freq: 1, q: 0.01, gain: 0.01 } };
+    const totalMixPEQ = { types: ["PK"], step: { freq: 1, q: 0.1, gain: 0.5 } };
+
+    const profiles = {
+        totalmix: {
+            name: "RME TotalMix FX (Room EQ + PEQ)",
+            freqRange: [20, 20000],
+            qRange: [0.4, 9.9],
+            gainRange: [-20, 20],
+            slots: [
+                { ...totalMixREQ, name: "REQ1", types: ["PK", "LSQ"] },
+                ...repeat(6, totalMixREQ, "REQ", 2),
+                { ...totalMixREQ, name: "REQ8", types: ["PK", "HSQ"] },
+                { ...totalMixREQ, name: "REQ9", types: ["PK", "HSQ"] },
+                { ...totalMixPEQ, name: "PEQ1", types: ["PK", "LSQ"] },
+                { ...totalMixPEQ, name: "PEQ2" },
+                { ...totalMixPEQ, name: "PEQ3", types: ["PK", "HSQ"] }
+            ]
+        },
+        qudelix: {
+            name: "Qudelix-5K (10-band)",
+            freqRange: [20, 20000],
+            qRange: [0.1, 10],
+            gainRange: [-12, 12],
+            slots: repeat(10, { types: ["PK", "LSQ", "HSQ", "HPQ", "LPQ"],
+                step: { freq: 1, q: 0.01, gain: 0.1 } }, "Band")
+        },
+        fiio: {
+            name: "FiiO (5-band)",
+            freqRange: [20, 20000],
+            qRange: [0.2, 10],
+            gainRange: [-12, 12],
+            slots: repeat(5, { types: ["PK", "LSQ", "HSQ"],
+                step: { freq: 1, q: 0.01, gain: 0.1 } }, "Band")
+        },
+        moondrop: {
+            // Tanchjim and Moondrop dongle apps share the same DSP
+            name: "Tanchjim / Moondrop (8-band)",
+            freqRange: [20, 20000],
+            qRange: [0.1, 10],
+            gainRange: [-12, 12],
+            slots: repeat(8, { types: ["PK", "LSQ", "HSQ"],
+                step: { freq: 1, q: 0.1, gain: 0.1 } }, "Band")
+        },
+        wavelet: {
+            // Parametric filters are converted to GraphicEQ, so any magnitude filter works
+            name: "Wavelet (GraphicEQ)",
+            freqRange: [20, 20000],
+            qRange: [0.1, 10],
+            gainRange: [-12, 12],
+            slots: null,
+            slot: { types: allBiquads.filter(t => t !== "AP"), step: null }
+        },
+        apo: {
+            // Same precision as the Equalizer APO export
+            name: "Equalizer APO",
+            freqRange: [20, 20000],
+            qRange: [0.1, 10],
+            gainRange: [-20, 20],
+            slots: null,
+            slot: { types: allBiquads, step: { freq: 1, q: 0.001, gain: 0.1 } }
+        },
+        custom: {
+            // Ranges and band count from AutoEQ settings, same as AutoEQ without a device
+            name: "Custom (AutoEQ settings)",
+            freqRange: null,
+            qRange: null,
+            gainRange: null,
+            slots: null,
+            slot: { types: ["PK"], step: null }
+        }
+    };
+
+    // ===========================================
+    // Public Functions
+    // ===========================================
+    function list() {
+        return Object.keys(profiles).map(id => ({ id, name: profiles[id].name }));
+    }
+
+    function get(id) {
+        return profiles[id] || profiles.custom;
+    }
+
+    function getSlots(profile, count) {
+        // Slots of fixed devices, or count copies of the slot template
+        return profile.slots || repeat(count, profile.slot, "Band");
+    }
+
+    function fitFilters(profile, filters) {
+        // Place filters in slots that can load their type, then clamp and quantise each value.
+        // Every changed value is listed in modifications, e.g. "Band2: F:99.6→100, G:3.04→3"
+        let slots = getSlots(profile, filters.length);
+        let unsupported = filters.filter(f => !slots.some(s => s.types.includes(f.type)));
+        if (unsupported.length) {
+            let types = Array.from(new Set(slots.flatMap(s => s.types)));
+            return { error: `Unsupported filter type(s): ${unsupported.map(f => f.type).join(', ')} (${profile.name} supports ${types.join(', ')})` };
+        }
+        if (filters.length > slots.length) {
+            return { error: `Too many filters: ${filters.length} (max ${slots.length})` };
+        }
+        // Filters that fit the fewest slots are placed first
+        let placed = new Array(slots.length).fill(null);
+        let order = filters.map((f, i) => i).sort((a, b) =>
+            slots.filter(s => s.types.includes(filters[a].type)).length -
+            slots.filter(s => s.types.includes(filters[b].type)).length || a - b);
+        for (let i of order) {
+            let slot = slots.findIndex((s, j) => !placed[j] && s.types.includes(filters[i].type));
+            if (slot < 0) {
+                return { error: `No free slot for ${filters[i].type} filter at ${filters[i].freq} Hz` };
+            }
+            placed[slot] = { ...filters[i] };
+        }
+        let modifications = [];
+        placed.forEach((f, i) => {
+            if (!f) return;
+            let step = slots[i].step || {};
+            let changes = [];
+            [["freq", "F", profile.freqRange], ["q", "Q", profile.qRange], ["gain", "G", profile.gainRange]].forEach(([key, label, range]) => {
+                let value = clamp(f[key], range);
+                value = step[key] ? quantize(value, step[key]) : value;
+                if (value !== f[key]) {
+                    changes.push(`${label}:${f[key]}→${value}`);
+                    f[key] = value;
+                }
+            });
+            if (changes.length) {
+                modifications.push(`${slots[i].name}: ${changes.join(', ')}`);
+            }
+        });
+        return { filters: placed, modifications };
+    }
+
+    function register(id, profile) {
+        if (!profile || !(profile.slots || profile.slot)) {
+            throw new Error(`Device profile "${id}" needs slots or a slot template`);
+        }
+        profiles[id] = profile;
+    }
+
+    // ===========================================
+    // Public API
+    // ===========================================
+    const publicAPI = {
+        list: list,
+        get: get,
+        getSlots: getSlots,
+        fitFilters: fitFilters,
+        quantize: quantize,
+        register: register
+    };
+
+    return publicAPI;
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceProfiles;
+}
@@ -15,6 +15,9 @@ Equalizer = (function() {
         // https://github.com/jaakkopasanen/AutoEq/issues/240
         // https://github.com/jaakkopasanen/AutoEq/issues/411
         AutoEQRange: [20, 6000],
+        // Weight and "don't care" tolerance (±dB) of frequency regions for AutoEQ errors,
+        // e.g. [{ from: 8000, to: 20000, weight: 0.5, tolerance: 2 }], later regions win on overlap
+        AutoEQMask: [],
         // Minimum and maximum Q for AutoEQ feature
         OptimizeQRange: [0.4, 9.9],
         // Minimum and maximum Gain for AutoEQ feature
@@ -29,6 +32,13 @@ Equalizer = (function() {
         GraphicEQRawFrequences: ( // ~= 1/96 octave
             new Array(Math.ceil(Math.log(20000 / 20) / Math.log(1.0072))).fill(null)
             .map((_, i) => 20 * Math.pow(1.0072, i))),
+        // Loss used by the global optimizer: "rms", "weighted_rms", "max_dev" or "preference"
+        OptimizeLoss: "rms",
+        // Weight of each frequency for weighted RMS, interpolated linearly
+        LossWeights: [[20, 0.5], [100, 1], [5000, 1], [10000, 0.5], [20000, 0.25]],
+        // Number of random restarts and evaluations per start of the global optimizer
+        GlobalOptimizeStarts: 4,
+        GlobalOptimizeMaxEvals: 4000,
         // Smoothed 127 bands frequencies for graphic eq (wavelet)
         GraphicEQFrequences: Array.from(new Set(
             new Array(Math.ceil(Math.log(20000 / 20) / Math.log(1.0563))).fill(null)
@@ -120,6 +130,169 @@ Equalizer = (function() {
         return [ 1.0, a1/a0, a2/a0, b0/a0, b1/a0, b2/a0 ];
     };
 
+    // Shared prologue of the pass/notch/all-pass filters below
+    let prepare = function (freq, q, sampleRate) {
+        freq = freq / (sampleRate || config.DefaultSampleRate);
+        freq = Math.max(1e-6, Math.min(freq, 1));
+        q    = Math.max(1e-4, Math.min(q, 1000));
+
+        let w0 = 2 * Math.PI * freq;
+        return { cos: Math.cos(w0), alpha: Math.sin(w0) / (2 * q) };
+    };
+
+    let lowpass = function (freq, q, sampleRate) {
+        let { cos, alpha } = prepare(freq, q, sampleRate);
+
+        let a0 =  1 + alpha;
+        let a1 = -2 * cos;
+        let a2 =  1 - alpha;
+        let b0 = (1 - cos) / 2;
+        let b1 =  1 - cos;
+        let b2 = (1 - cos) / 2;
+
+        return [ 1.0, a1/a0, a2/a0, b0/a0, b1/a0, b2/a0 ];
+    };
+
+    let highpass = function (freq, q, sampleRate) {
+        let { cos, alpha } = prepare(freq, q, sampleRate);
+
+        let a0 =  1 + alpha;
+        let a1 = -2 * cos;
+        let a2 =  1 - alpha;
+        let b0 =  (1 + cos) / 2;
+        let b1 = -(1 + cos);
+        let b2 =  (1 + cos) / 2;
+
+        return [ 1.0, a1/a0, a2/a0, b0/a0, b1/a0, b2/a0 ];
+    };
+
+    let bandpass = function (freq, q, sampleRate) {
+        // Constant 0 dB peak gain
+        let { cos, alpha } = prepare(freq, q, sampleRate);
+
+        let a0 =  1 + alpha;
+        let a1 = -2 * cos;
+        let a2 =  1 - alpha;
+        let b0 =  alpha;
+        let b1 =  0;
+        let b2 = -alpha;
+
+        return [ 1.0, a1/a0, a2/a0, b0/a0, b1/a0, b2/a0 ];
+    };
+
+    let notch = function (freq, q, sampleRate) {
+        let { cos, alpha } = prepare(freq, q, sampleRate);
+
+        let a0 =  1 + alpha;
+        let a1 = -2 * cos;
+        let a2 =  1 - alpha;
+        let b0 =  1;
+        let b1 = -2 * cos;
+        let b2 =  1;
+
+        return [ 1.0, a1/a0, a2/a0, b0/a0, b1/a0, b2/a0 ];
+    };
+
+    let allpass = function (freq, q, sampleRate) {
+        let { cos, alpha } = prepare(freq, q, sampleRate);
+
+        let a0 =  1 + alpha;
+        let a1 = -2 * cos;
+        let a2 =  1 - alpha;
+        let b0 =  1 - alpha;
+        let b1 = -2 * cos;
+        let b2 =  1 + alpha;
+
+        return [ 1.0, a1/a0, a2/a0, b0/a0, b1/a0, b2/a0 ];
+    };
+
+    // First-order shelves, gain is half way (in dB) at freq
+    let lowshelf_1st = function (freq, gain, sampleRate) {
+        freq = freq / (sampleRate || config.DefaultSampleRate);
+        freq = Math.max(1e-6, Math.min(freq, 0.499));
+        gain = Math.max(-40, Math.min(gain, 40));
+
+        let k = Math.tan(Math.PI * freq);
+        let a = Math.sqrt(Math.pow(10, (gain / 20)));
+
+        let a0 = k / a + 1;
+        let a1 = k / a - 1;
+        let b0 = k * a + 1;
+        let b1 = k * a - 1;
+
+        return [ 1.0, a1/a0, 0, b0/a0, b1/a0, 0 ];
+    };
+
+    let highshelf_1st = function (freq, gain, sampleRate) {
+        freq = freq / (sampleRate || config.DefaultSampleRate);
+        freq = Math.max(1e-6, Math.min(freq, 0.499));
+        gain = Math.max(-40, Math.min(gain, 40));
+
+        let k = Math.tan(Math.PI * freq);
+        let a = Math.sqrt(Math.pow(10, (gain / 20)));
+
+        let a0 = k * a + 1;
+        let a1 = k * a - 1;
+        let b0 = a * a * (k / a + 1);
+        let b1 = a * a * (k / a - 1);
+
+        return [ 1.0, a1/a0, 0, b0/a0, b1/a0, 0 ];
+    };
+
+    // Q of the cascaded biquads of Butterworth filters, a 12 dB/oct shelf
+    // is the RBJ shelf with slope S = 1 which is Q = 1/sqrt(2) at any gain
+    let butterworth = {
+        12: [Math.SQRT1_2],
+        24: [1 / (2 * Math.cos(Math.PI / 8)), 1 / (2 * Math.cos(3 * Math.PI / 8))]
+    };
+
+    // Supported filter types, whether they take gain and Q, and how they
+    // expand to single sections (PK, LSQ, HSQ, LS6, HS6, LPQ, HPQ, BP, NO, AP)
+    let filter_types = {
+        PK:   { gain: true,  q: true  },
+        LSQ:  { gain: true,  q: true  },
+        HSQ:  { gain: true,  q: true  },
+        LS6:  { gain: true,  q: false },
+        HS6:  { gain: true,  q: false },
+        LS12: { gain: true,  q: false, section: "LSQ", slope: 12 },
+        HS12: { gain: true,  q: false, section: "HSQ", slope: 12 },
+        LPQ:  { gain: false, q: true  },
+        HPQ:  { gain: false, q: true  },
+        LP:   { gain: false, q: false, section: "LPQ", slope: 12 },
+        HP:   { gain: false, q: false, section: "HPQ", slope: 12 },
+        LP24: { gain: false, q: false, section: "LPQ", slope: 24 },
+        HP24: { gain: false, q: false, section: "HPQ", slope: 24 },
+        NO:   { gain: false, q: true  },
+        BP:   { gain: false, q: true  },
+        AP:   { gain: false, q: true  }
+    };
+
+    let uses_gain = function (type) {
+        return !!(filter_types[type] && filter_types[type].gain);
+    };
+
+    let uses_q = function (type) {
+        return !!(filter_types[type] && filter_types[type].q);
+    };
+
+    let is_effective = function (f) {
+        // Filters without a known type, freq, or a gain / Q they need have no effect
+        return !!(filter_types[f.type] && f.freq &&
+            (!uses_gain(f.type) || f.gain) && (!uses_q(f.type) || f.q));
+    };
+
+    let as_biquads = function (filters) {
+        return filters.filter(is_effective).reduce((sections, f) => {
+            let t = filter_types[f.type];
+            if (!t.section) {
+                return sections.concat([{ type: f.type, freq: f.freq,
+                    q: t.q ? f.q : 0, gain: t.gain ? f.gain : 0 }]);
+            }
+            return sections.concat(butterworth[t.slope].map(q => (
+                { type: t.section, freq: f.freq, q, gain: t.gain ? f.gain : 0 })));
+        }, []);
+    };
+
     let calc_gains = function (freqs, coeffs, sampleRate) {
         sampleRate = sampleRate || config.DefaultSampleRate;
         let gains = new Array(freqs.length).fill(0);
@@ -129,9 +302,10 @@ Equalizer = (function() {
             for (let j = 0; j < freqs.length; ++j) {
                 let w = 2 * Math.PI * freqs[j] / sampleRate;
                 let phi = 4 * Math.pow(Math.sin(w / 2), 2);
+                // Clamp to -200 dB so notches don't produce -Infinity
                 let c = (
-                    10 * Math.log10(Math.pow(b0 + b1 + b2, 2) +
-                        (b0 * b2 * phi - (b1 * (b0 + b2) + 4 * b0 * b2)) * phi) -
+                    10 * Math.log10(Math.max(1e-20, Math.pow(b0 + b1 + b2, 2) +
+                        (b0 * b2 * phi - (b1 * (b0 + b2) + 4 * b0 * b2)) * phi)) -
                     10 * Math.log10(Math.pow(a0 + a1 + a2, 2) +
                         (a0 * a2 * phi - (a1 * (a0 + a2) + 4 * a0 * a2)) * phi));
                 gains[j] += c;
@@ -140,6 +314,62 @@ Equalizer = (function() {
         return gains;
     };
 
+    // Response of b0 + b1 z^-1 + b2 z^-2 and of its derivative term
+    // (b1 z^-1 + 2 b2 z^-2) at z = e^jw, used for phase and group delay
+    let poly_response = function (c0, c1, c2, w) {
+        return {
+            re:  c0 + c1 * Math.cos(w) + c2 * Math.cos(2 * w),
+            im: -(c1 * Math.sin(w) + c2 * Math.sin(2 * w)),
+            dre:  c1 * Math.cos(w) + 2 * c2 * Math.cos(2 * w),
+            dim: -(c1 * Math.sin(w) + 2 * c2 * Math.sin(2 * w))
+        };
+    };
+
+    let calc_phases = function (freqs, coeffs, sampleRate) {
+        // Unwrapped phase in degrees
+        sampleRate = sampleRate || config.DefaultSampleRate;
+        let phases = new Array(freqs.length).fill(0);
+
+        for (let i = 0; i < coeffs.length; ++i) {
+            let [ a0, a1, a2, b0, b1, b2] = coeffs[i];
+            let last = null;
+            for (let j = 0; j < freqs.length; ++j) {
+                let w = 2 * Math.PI * freqs[j] / sampleRate;
+                let n = poly_response(b0, b1, b2, w);
+                let d = poly_response(a0, a1, a2, w);
+                let p = Math.atan2(n.im, n.re) - Math.atan2(d.im, d.re);
+                if (last !== null) {
+                    p -= 2 * Math.PI * Math.round((p - last) / (2 * Math.PI));
+                }
+                last = p;
+                phases[j] += p * 180 / Math.PI;
+            }
+        }
+        return phases;
+    };
+
+    let calc_group_delays = function (freqs, coeffs, sampleRate) {
+        // Group delay in milliseconds
+        sampleRate = sampleRate || config.DefaultSampleRate;
+        let delays = new Array(freqs.length).fill(0);
+        let samples = r => {
+            // Re((k * c_k z^-k) / (c_k z^-k)), zero at the exact null of a notch
+            let m = r.re * r.re + r.im * r.im;
+            return m > 1e-20 ? (r.dre * r.re + r.dim * r.im) / m : 0;
+        };
+
+        for (let i = 0; i < coeffs.length; ++i) {
+            let [ a0, a1, a2, b0, b1, b2] = coeffs[i];
+            for (let j = 0; j < freqs.length; ++j) {
+                let w = 2 * Math.PI * freqs[j] / sampleRate;
+                let d = samples(poly_response(b0, b1, b2, w)) -
+                    samples(poly_response(a0, a1, a2, w));
+                delays[j] += d * 1000 / sampleRate;
+            }
+        }
+        return delays;
+    };
+
     let calc_preamp = function (fr1, fr2) {
         let maxGain = -Infinity;
         for (let i = 0; i < fr1.length; ++i) {
@@ -148,25 +378,69 @@ Equalizer = (function() {
         return -maxGain;
     };
 
+    let mask_at = function (freq) {
+        // [weight, tolerance] at freq, frequencies outside of mask regions count fully
+        let result = [1, 0];
+        (config.AutoEQMask || []).forEach(r => {
+            if (freq >= r.from && freq <= r.to) {
+                result = [r.weight, r.tolerance];
+            }
+        });
+        return result;
+    };
+
+    let mask_cache = { key: null, target: null, values: null };
+    let mask_values = function (frTarget) {
+        // [weight, tolerance] of each target frequency, null without mask
+        // Cached because AutoEQ compares against the same target many times
+        let mask = config.AutoEQMask || [];
+        if (!mask.length) {
+            return null;
+        }
+        let key = mask.map(r => [r.from, r.to, r.weight, r.tolerance].join()).join(";");
+        if (mask_cache.key !== key || mask_cache.target !== frTarget) {
+            mask_cache = { key, target: frTarget, values: frTarget.map(([f]) => mask_at(f)) };
+        }
+        return mask_cache.values;
+    };
+
+    let mask_error = function (d, mask) {
+        // Deviation within tolerance is ignored, the rest is weighted
+        return mask ? Math.sign(d) * Math.max(Math.abs(d) - mask[1], 0) * mask[0] : d;
+    };
+
     let calc_distance = function (fr1, fr2) {
+        let mask = mask_values(fr2);
         let distance = 0;
         for (let i = 0; i < fr1.length; ++i) {
-            let d = Math.abs(fr1[i][1] - fr2[i][1]);
+            let d = Math.abs(mask_error(fr1[i][1] - fr2[i][1], mask && mask[i]));
             distance += (d >= 0.1 ? d : 0);
         }
         return distance / fr1.length;
     };
 
     let filters_to_coeffs = function (filters, sampleRate) {
-        return filters.map(f => {
-            if (!f.freq || !f.gain || !f.q) {
-                return null;
-            } else if (f.type === "LSQ") {
+        return as_biquads(filters).map(f => {
+            if (f.type === "LSQ") {
                 return lowshelf(f.freq, f.q, f.gain, sampleRate);
             } else if (f.type === "HSQ") {
                 return highshelf(f.freq, f.q, f.gain, sampleRate);
             } else if (f.type === "PK") {
                 return peaking(f.freq, f.q, f.gain, sampleRate);
+            } else if (f.type === "LS6") {
+                return lowshelf_1st(f.freq, f.gain, sampleRate);
+            } else if (f.type === "HS6") {
+                return highshelf_1st(f.freq, f.gain, sampleRate);
+            } else if (f.type === "LPQ") {
+                return lowpass(f.freq, f.q, sampleRate);
+            } else if (f.type === "HPQ") {
+                return highpass(f.freq, f.q, sampleRate);
+            } else if (f.type === "BP") {
+                return bandpass(f.freq, f.q, sampleRate);
+            } else if (f.type === "NO") {
+                return notch(f.freq, f.q, sampleRate);
+            } else if (f.type === "AP") {
+                return allpass(f.freq, f.q, sampleRate);
             }
             return null;
         }).filter(f => f);
@@ -186,6 +460,48 @@ Equalizer = (function() {
         return fr_eq;
     };
 
+    // ITU-R BS.1770 K-weighting (shelving pre-filter and RLB high-pass) at 48 kHz
+    let k_weighting = [
+        [1.0, -1.69065929318241, 0.73248077421585, 1.53512485958697, -2.69169618940638, 1.19839281085285],
+        [1.0, -1.99004745483398, 0.99007225036621, 1.0, -2.0, 1.0]
+    ];
+
+    let analyze_headroom = function (filters, sampleRate) {
+        // Peak gain of the combined filter chain, pre-amp to keep it at 0 dB, loudness change
+        // of pink noise after the pre-amp and how much each filter adds at the peak
+        sampleRate = sampleRate || config.DefaultSampleRate;
+        let active = filters.map((f, index) => ({ ...f, index }))
+            .filter(f => !f.disabled && is_effective(f));
+        let coeffs = filters_to_coeffs(active, sampleRate);
+        let maxFreq = Math.min(20000, sampleRate / 2 * 0.999);
+        let freqs = config.GraphicEQRawFrequences.filter(f => f <= maxFreq);
+        let gains = calc_gains(freqs, coeffs, sampleRate);
+        let argmax = gs => gs.reduce((a, g, i) => g > gs[a] ? i : a, 0);
+        // Narrow peaks may fall between grid points, search finer around the highest one
+        let i = argmax(gains);
+        let lo = freqs[Math.max(i - 1, 0)], hi = freqs[Math.min(i + 1, freqs.length - 1)];
+        let fine = new Array(33).fill(null).map((_, j) => lo * Math.pow(hi / lo, j / 32));
+        let fineGains = calc_gains(fine, coeffs, sampleRate);
+        let j = argmax(fineGains);
+        let peakFreq = fine[j], peakGain = fineGains[j];
+        // Log spaced frequencies have equal weight for pink noise
+        let kGains = calc_gains(freqs, k_weighting, 48000);
+        let power = gs => kGains.reduce((a, k, n) => a + Math.pow(10, (k + gs[n]) / 10), 0);
+        let preamp = -peakGain;
+        let loudness = 10 * Math.log10(power(gains) / power(gains.map(() => 0))) + preamp;
+        let bands = active.map(f => {
+            let c = filters_to_coeffs([f], sampleRate);
+            let own = calc_gains(freqs, c, sampleRate);
+            return {
+                index: f.index,
+                filter: filters[f.index],
+                atPeak: calc_gains([peakFreq], c, sampleRate)[0],
+                maxBoost: Math.max(0, own[argmax(own)])
+            };
+        });
+        return { peakGain, peakFreq, preamp, loudness, bands };
+    };
+
     let as_graphic_eq = function (filters, sampleRate) {
         let rawFS = config.GraphicEQRawFrequences, fs = config.GraphicEQFrequences;
         let coeffs = filters_to_coeffs(filters, sampleRate);
@@ -206,21 +522,344 @@ Equalizer = (function() {
             let avg = points.reduce((a, b) => a + b, 0) / points.length;
             return [f, avg];
         });
-        // Normalize (apply preamp)
+        // Normalize (apply preamp), smoothing may hide the true peak of the filters
         let maxGain = resultFR.reduce((a, b) => a > b[1] ? a : b[1], -Infinity);
+        maxGain = Math.max(maxGain, -analyze_headroom(filters, sampleRate).preamp);
         resultFR = resultFR.map(([f, v]) => [f, v-maxGain]);
         return resultFR;
     };
 
+    // In-place radix-2 FFT, length of re and im must be a power of 2
+    let fft = function (re, im, inverse) {
+        let n = re.length;
+        for (let i = 1, j = 0; i < n; ++i) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let len = 2; len <= n; len <<= 1) {
+            let ang = 2 * Math.PI / len * (inverse ? 1 : -1);
+            let wRe = Math.cos(ang), wIm = Math.sin(ang);
+            for (let i = 0; i < n; i += len) {
+                let cRe = 1, cIm = 0;
+                for (let j = 0; j < len / 2; ++j) {
+                    let k = i + j, l = k + len / 2;
+                    let tRe = re[l] * cRe - im[l] * cIm;
+                    let tIm = re[l] * cIm + im[l] * cRe;
+                    re[l] = re[k] - tRe; im[l] = im[k] - tIm;
+                    re[k] += tRe; im[k] += tIm;
+                    [cRe, cIm] = [cRe * wRe - cIm * wIm, cRe * wIm + cIm * wRe];
+                }
+            }
+        }
+        if (inverse) {
+            for (let i = 0; i < n; ++i) {
+                re[i] /= n; im[i] /= n;
+            }
+        }
+    };
+
+    let as_fir = function (fr, taps, sampleRate, phase) {
+        // Synthesize a FIR impulse (Float32Array) from a magnitude response in dB,
+        // phase is "minimum" (cepstral method) or "linear" (centered, Hann window)
+        sampleRate = sampleRate || config.DefaultSampleRate;
+        let n = 1 << Math.ceil(Math.log2(Math.max(taps, 4096) * 4));
+        let bins = new Array(n / 2 + 1).fill(null).map((_, i) => i * sampleRate / n);
+        let gains = interp(bins, fr).map(([f, v]) => v);
+        // Normalize (apply preamp)
+        let maxGain = gains.reduce((a, b) => Math.max(a, b), -Infinity);
+        let re = new Float64Array(n), im = new Float64Array(n);
+        let impulse = new Float32Array(taps);
+        if (phase === "linear") {
+            gains.forEach((v, i) => {
+                re[i] = re[(n - i) % n] = Math.pow(10, (v - maxGain) / 20);
+            });
+            fft(re, im, true);
+            for (let i = 0; i < taps; ++i) {
+                let window = 0.5 - 0.5 * Math.cos(2 * Math.PI * (i + 0.5) / taps);
+                impulse[i] = re[(i - Math.floor(taps / 2) + n) % n] * window;
+            }
+        } else {
+            // Real cepstrum of log magnitude, folded to make it causal
+            gains.forEach((v, i) => {
+                re[i] = re[(n - i) % n] = (v - maxGain) / 20 * Math.LN10;
+            });
+            fft(re, im, true);
+            for (let i = 1; i < n / 2; ++i) {
+                re[i] *= 2;
+                re[n - i] = 0;
+            }
+            im.fill(0);
+            fft(re, im, false);
+            for (let i = 0; i < n; ++i) {
+                let m = Math.exp(re[i]);
+                [re[i], im[i]] = [m * Math.cos(im[i]), m * Math.sin(im[i])];
+            }
+            fft(re, im, true);
+            // Fade out the last 10% to avoid truncation clicks
+            let fade = Math.max(1, Math.floor(taps / 10));
+            for (let i = 0; i < taps; ++i) {
+                let k = i - (taps - fade);
+                let window = k < 0 ? 1 : 0.5 + 0.5 * Math.cos(Math.PI * (k + 0.5) / fade);
+                impulse[i] = re[i] * window;
+            }
+        }
+        return impulse;
+    };
+
+    // Loss functions of a response against target, lower is better.
+    // fr, frTarget should has same resolution, only AutoEQRange is counted
+    let losses = {
+        rms: function (errors) {
+            return Math.sqrt(errors.reduce((a, [f, d]) => a + d * d, 0) / errors.length);
+        },
+        weighted_rms: function (errors) {
+            let weights = interp(errors.map(([f]) => f), config.LossWeights);
+            let sum = weights.reduce((a, [f, w]) => a + w, 0);
+            return Math.sqrt(errors.reduce((a, [f, d], i) => a + weights[i][1] * d * d, 0) / sum);
+        },
+        max_dev: function (errors) {
+            // Power mean with a high exponent is a smooth approximation of the max deviation
+            return Math.pow(errors.reduce((a, [f, d]) => a + Math.pow(Math.abs(d), 8), 0) / errors.length, 1 / 8);
+        },
+        preference: function (errors) {
+            // Negative in-ear preference score (Olive et al.), from std, slope and mean
+            // absolute error in 20 Hz - 10 kHz
+            let e = errors.filter(([f]) => f <= 10000);
+            let xs = e.map(([f]) => Math.log10(f)), ys = e.map(([f, d]) => d);
+            let n = e.length;
+            let mx = xs.reduce((a, b) => a + b, 0) / n, my = ys.reduce((a, b) => a + b, 0) / n;
+            let std = Math.sqrt(ys.reduce((a, y) => a + (y - my) * (y - my), 0) / n);
+            let slope = xs.reduce((a, x, i) => a + (x - mx) * (ys[i] - my), 0) /
+                xs.reduce((a, x) => a + (x - mx) * (x - mx), 0);
+            let avg = ys.reduce((a, y) => a + Math.abs(y), 0) / n;
+            return -(100.0795 - 8.5 * std - 6.796 * Math.abs(slope) - 3.475 * avg);
+        }
+    };
+
+    let calc_loss = function (fr, frTarget, loss) {
+        let [minFreq, maxFreq] = config.AutoEQRange;
+        let mask = mask_values(frTarget);
+        let errors = fr.map(([f, v], i) => [f, mask_error(v - frTarget[i][1], mask && mask[i])])
+            .filter(([f]) => f >= minFreq && f <= maxFreq);
+        return errors.length ? (losses[loss] || losses.rms)(errors) : 0;
+    };
+
+    let random = function (seed) {
+        // Seeded PRNG (mulberry32) so the same input gives the same result
+        return function () {
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+
+    let nelder_mead = function (fn, x0, steps, maxEvals) {
+        let n = x0.length;
+        let simplex = [x0].concat(x0.map((_, i) => x0.map((v, j) => i === j ? v + steps[j] : v)))
+            .map(x => ({ x, v: fn(x) }));
+        let evals = n + 1;
+        let mix = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+        while (evals < maxEvals) {
+            simplex.sort((a, b) => a.v - b.v);
+            let best = simplex[0], worst = simplex[n];
+            if (worst.v - best.v < 1e-6) {
+                break;
+            }
+            let centroid = x0.map((_, j) => simplex.slice(0, n).reduce((a, p) => a + p.x[j], 0) / n);
+            let reflected = mix(centroid, worst.x, -1);
+            let rv = fn(reflected); ++evals;
+            if (rv < best.v) {
+                let expanded = mix(centroid, worst.x, -2);
+                let ev = fn(expanded); ++evals;
+                simplex[n] = ev < rv ? { x: expanded, v: ev } : { x: reflected, v: rv };
+            } else if (rv < simplex[n-1].v) {
+                simplex[n] = { x: reflected, v: rv };
+            } else {
+                let contracted = mix(centroid, worst.x, 0.5);
+                let cv = fn(contracted); ++evals;
+                if (cv < worst.v) {
+                    simplex[n] = { x: contracted, v: cv };
+                } else {
+                    // Shrink towards the best point
+                    for (let i = 1; i <= n; ++i) {
+                        let x = mix(best.x, simplex[i].x, 0.5);
+                        simplex[i] = { x, v: fn(x) }; ++evals;
+                    }
+                }
+            }
+        }
+        return simplex.sort((a, b) => a.v - b.v)[0];
+    };
+
+    let optimize_global = function (fr, frTarget, filters, loss) {
+        // Multi-start Nelder-Mead on freq, q and gain of all filters jointly,
+        // parameters are log(freq), log(q) and gain clamped to the optimize ranges
+        let [minFreq, maxFreq] = config.AutoEQRange;
+        let [minQ, maxQ] = config.OptimizeQRange;
+        let [minGain, maxGain] = config.OptimizeGainRange;
+        let clamp = (v, min, max) => Math.min(Math.max(v, min), max);
+        let encode = fs => [].concat(...fs.map(f => [Math.log(f.freq), Math.log(f.q), f.gain]));
+        let decode = x => filters.map((f, i) => ({
+            type: f.type,
+            freq: clamp(Math.exp(x[i*3]), minFreq, maxFreq),
+            q: clamp(Math.exp(x[i*3+1]), minQ, maxQ),
+            gain: clamp(x[i*3+2], minGain, maxGain)
+        }));
+        let fn = x => calc_loss(apply(fr, decode(x)), frTarget, loss);
+        let steps = [].concat(...filters.map(() => [0.2, 0.3, 1]));
+        let rand = random(filters.length * 7919 + fr.length);
+        let best = null;
+        for (let s = 0; s < config.GlobalOptimizeStarts; ++s) {
+            // First start refines the given filters, others jitter them
+            let x0 = encode(filters).map((v, j) => s === 0 ? v :
+                v + (rand() * 2 - 1) * steps[j] * 3);
+            let result = nelder_mead(fn, x0, steps, config.GlobalOptimizeMaxEvals);
+            if (!best || result.v < best.v) {
+                best = result;
+            }
+        }
+        return decode(best.x);
+    };
+
+    let quantize = function (f, step) {
+        // Snap to the device step inside the optimize ranges
+        let [minFreq, maxFreq] = config.AutoEQRange;
+        let [minQ, maxQ] = config.OptimizeQRange;
+        let [minGain, maxGain] = config.OptimizeGainRange;
+        let snap = (v, s, min, max) => {
+            if (!s) {
+                return Math.min(Math.max(v, min), max);
+            }
+            v = Math.min(Math.max(Math.round(v / s), Math.ceil(min / s)), Math.floor(max / s)) * s;
+            return parseFloat(v.toFixed(6));
+        };
+        return {
+            type: f.type,
+            freq: snap(f.freq, step && step.freq, minFreq, maxFreq),
+            q: snap(f.q, step && step.q, minQ, maxQ),
+            gain: snap(f.gain, step && step.gain, minGain, maxGain)
+        };
+    };
+
+    let assign_slots = function (filters, slots) {
+        // Slot index of each filter, or null when they do not all fit. Filters which fit the
+        // fewest slots are placed first, each type from low to high frequency, in the first
+        // free slot which loads it
+        let count = type => slots.filter(s => s.types.includes(type)).length;
+        let order = filters.map((f, i) => i).sort((a, b) =>
+            count(filters[a].type) - count(filters[b].type) || filters[a].freq - filters[b].freq);
+        let used = slots.map(() => false);
+        let placed = new Array(filters.length);
+        for (let i of order) {
+            let slot = slots.findIndex((s, j) => !used[j] && s.types.includes(filters[i].type));
+            if (slot < 0) {
+                return null;
+            }
+            used[slot] = true;
+            placed[i] = slot;
+        }
+        return placed;
+    };
+
+    let optimize_device = function (fr, frTarget, filters, slots, loss) {
+        // slots = [{ types, step }], filters are placed by type and frequency rather than by
+        // index, so shelf slots are tried even when there are fewer filters than slots
+        let [minFreq, maxFreq] = config.AutoEQRange;
+        let [minQ, maxQ] = config.OptimizeQRange;
+        let [minGain, maxGain] = config.OptimizeGainRange;
+        let clamp = (v, min, max) => Math.min(Math.max(v, min), max);
+        let shelves = ["LSQ", "HSQ"].filter(type => slots.some(s => s.types.includes(type)));
+        let bestDistance = calc_loss(apply(fr, filters), frTarget, loss);
+        let fitShelf = (type, others, x0) => {
+            let fr1 = apply(fr, others);
+            let decode = x => ({ type,
+                freq: clamp(Math.exp(x[0]), minFreq, maxFreq),
+                q: clamp(Math.exp(x[1]), minQ, maxQ),
+                gain: clamp(x[2], minGain, maxGain) });
+            let result = nelder_mead(x => calc_loss(apply(fr1, [decode(x)]), frTarget, loss),
+                x0, [0.2, 0.3, 1], 400);
+            return { filter: decode(result.x), distance: result.v };
+        };
+        // Try each filter as a shelf where a free slot can load it
+        filters.forEach((f, i) => {
+            shelves.forEach(type => {
+                let others = filters.filter((_, fi) => fi !== i);
+                if (!assign_slots(others.concat([{ ...f, type }]), slots)) {
+                    return;
+                }
+                let shelf = fitShelf(type, others, [Math.log(f.freq), Math.log(0.71), f.gain]);
+                if (shelf.distance < bestDistance && assign_slots(others.concat([shelf.filter]), slots)) {
+                    filters = filters.map((f1, fi) => fi === i ? shelf.filter : f1);
+                    bestDistance = shelf.distance;
+                }
+            });
+        });
+        // Then add shelves in slots which are still free, starting from the low and high end
+        shelves.forEach(type => {
+            if (!assign_slots(filters.concat([{ type, freq: minFreq, q: 1, gain: 0 }]), slots)) {
+                return;
+            }
+            let freq = minFreq * Math.pow(maxFreq / minFreq, type === "LSQ" ? 0.25 : 0.75);
+            let shelf = fitShelf(type, filters, [Math.log(freq), Math.log(0.71), 0]);
+            if (shelf.distance < bestDistance && assign_slots(filters.concat([shelf.filter]), slots)) {
+                filters = filters.concat([shelf.filter]);
+                bestDistance = shelf.distance;
+            }
+        });
+        // Step on the grid of each filter's slot so no rounding is needed afterwards
+        let placed = assign_slots(filters, slots);
+        let steps = placed.map(slot => slots[slot].step);
+        filters = filters.map((f, i) => quantize(f, steps[i]));
+        bestDistance = calc_loss(apply(fr, filters), frTarget, loss);
+        for (let pass = 0, improved = true; pass < 10 && improved; ++pass) {
+            improved = false;
+            filters.forEach((f, i) => {
+                let step = steps[i];
+                if (!step) {
+                    return;
+                }
+                let fr1 = apply(fr, filters.filter((_, fi) => fi !== i));
+                // A step may quantize only some values, e.g. { freq: 1 }
+                ["freq", "q", "gain"].filter(key => step[key]).forEach(key => {
+                    [1, -1].forEach(dir => {
+                        for (let n = 0; n < 20; ++n) {
+                            let newFilter = quantize({ ...filters[i],
+                                [key]: filters[i][key] + dir * step[key] }, step);
+                            let newDistance = calc_loss(apply(fr1, [newFilter]), frTarget, loss);
+                            if (newDistance >= bestDistance) {
+                                break;
+                            }
+                            filters[i] = newFilter;
+                            bestDistance = newDistance;
+                            improved = true;
+                        }
+                    });
+                });
+            });
+        }
+        // In slot order, filters quantized to 0 dB do nothing
+        return filters.map((f, i) => [placed[i], f]).sort((a, b) => a[0] - b[0])
+            .map(([, f]) => f).filter(f => f.gain);
+    };
+
     let search_candidates = function (fr, frTarget, threshold) {
         let state = 0; // 1: peak, 0: matched, -1: dip
         let startIndex = -1;
         let candidates = [];
         let [minFreq, maxFreq] = config.AutoEQRange;
+        let mask = mask_values(frTarget);
         for (let i = 0; i < fr.length; ++i) {
             let [f, v0] = fr[i];
             let v1 = frTarget[i][1];
-            let delta = v0 - v1;
+            let delta = mask_error(v0 - v1, mask && mask[i]);
             let deltaAbs = Math.abs(delta);
             let nextState = (deltaAbs < threshold) ? 0 : (delta / deltaAbs);
             if (nextState === state) {
@@ -392,17 +1031,76 @@ Equalizer = (function() {
         return strip(allFilters);
     };
 
+    let autoeq_device = function (fr, frTarget, device, optimizer, loss) {
+        // device = { slots: [{ types, step }], freqRange, qRange, gainRange },
+        // ranges are intersected with the AutoEQ settings while optimizing
+        let saved = [config.AutoEQRange, config.OptimizeQRange, config.OptimizeGainRange];
+        let intersect = (a, b) => (b && Math.max(a[0], b[0]) <= Math.min(a[1], b[1])) ?
+            [Math.max(a[0], b[0]), Math.min(a[1], b[1])] : (b || a);
+        config.AutoEQRange = intersect(config.AutoEQRange, device.freqRange);
+        config.OptimizeQRange = intersect(config.OptimizeQRange, device.qRange);
+        config.OptimizeGainRange = intersect(config.OptimizeGainRange, device.gainRange);
+        try {
+            loss = loss || config.OptimizeLoss;
+            let filters = (optimizer === "global") ?
+                autoeq_global(fr, frTarget, device.slots.length, loss) :
+                autoeq(fr, frTarget, device.slots.length);
+            return optimize_device(fr, frTarget, filters, device.slots, loss);
+        } finally {
+            [config.AutoEQRange, config.OptimizeQRange, config.OptimizeGainRange] = saved;
+        }
+    };
+
+    let autoeq_global = function (fr, frTarget, maxFilters, loss) {
+        // Start from the 2 steps result, then optimize all filters jointly with chosen loss
+        let filters = autoeq(fr, frTarget, maxFilters);
+        if (!filters.length) {
+            return filters;
+        }
+        loss = loss || config.OptimizeLoss;
+        let optimized = strip(optimize_global(fr, frTarget, filters, loss))
+            .sort((a, b) => a.freq - b.freq);
+        // Rounding by strip may lose the gain of small steps, keep the better one
+        return (calc_loss(apply(fr, optimized), frTarget, loss) <=
+            calc_loss(apply(fr, filters), frTarget, loss)) ? optimized : filters;
+    };
+
     return {
         config,
         interp,
         lowshelf,
         highshelf,
         peaking,
+        lowshelf_1st,
+        highshelf_1st,
+        lowpass,
+        highpass,
+        bandpass,
+        notch,
+        allpass,
+        filter_types,
+        uses_gain,
+        uses_q,
+        is_effective,
+        as_biquads,
+        filters_to_coeffs,
         calc_gains,
+        calc_phases,
+        calc_group_delays,
         calc_preamp,
+        analyze_headroom,
         apply,
         as_graphic_eq,
-        autoeq
+        as_fir,
+        autoeq,
+        autoeq_global,
+        autoeq_device,
+        calc_loss,
+        mask_at
     }
 })();
 
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Equalizer;
+}
@@ -0,0 +1,172 @@
+/**
+ * File Export Module
+ * Writers of the files the EQ panel exports, without the DOM so Node can read them back:
+ * Equalizer APO config.txt, stored ZIP archives and 32-bit float WAV impulses.
+ *
+ * Usage:
+ *   // Browser: load after equalizer.js, FileExport is a global
+ *   // Node:
+ *   const FileExport = require("./assets/js/file-export.js");
+ *   let text = FileExport.apo({
+ *       header: ["# Sample rate: 48000 Hz"],  // Comment lines before the preamp
+ *       preamp: -6.2,                          // dB for all channels
+ *       channelPreamps, comments, includes,    // As imported by PresetImport, written in their Channel: block
+ *       channels: [filters]                    // Or [L filters, R filters] for separate channels
+ *   });
+ *   let blob = FileExport.zip([{ name: "Preset.tmreq", text }]);
+ *   let buffer = FileExport.floatWav([left, right], 48000);  // ArrayBuffer, channels of samples
+ */
+const FileExport = (function() {
+    'use strict';
+
+    const Equalizer = (typeof window !== 'undefined' && window.Equalizer) || require("./equalizer.js");
+
+    // ===========================================
+    // Equalizer APO
+    // ===========================================
+    function apoFilters(filters) {
+        let lines = [];
+        filters.forEach(f => {
+            let on = (!f.disabled && Equalizer.is_effective(f)) ? "ON" : "OFF";
+            let type = f.type;
+            if (type === "LSQ" || type === "HSQ") {
+                // Equalizer APO use LSC/HSC instead of LSQ/HSQ
+                type = type.substr(0, 2) + "C";
+            }
+            if (type === "LS6" || type === "HS6" || type === "LS12" || type === "HS12") {
+                // Equalizer APO writes the slope after the type
+                lines.push(on + " " + type.substr(0, 2) + " " + type.substr(2) + "dB Fc " +
+                    f.freq.toFixed(0) + " Hz Gain " + f.gain.toFixed(1) + " dB");
+            } else if (type === "LP24" || type === "HP24") {
+                // Equalizer APO has no 24 dB/oct type, write the cascaded Butterworth sections
+                Equalizer.as_biquads([{ ...f, disabled: false }]).forEach(b => lines.push(
+                    on + " " + b.type + " Fc " + b.freq.toFixed(0) + " Hz Q " + b.q.toFixed(3)));
+            } else {
+                lines.push(on + " " + type + " Fc " + f.freq.toFixed(0) + " Hz" +
+                    (Equalizer.uses_gain(f.type) ? " Gain " + f.gain.toFixed(1) + " dB" : "") +
+                    (Equalizer.uses_q(f.type) ? " Q " + f.q.toFixed(3) : ""));
+            }
+        });
+        return lines.map((l, i) => "Filter " + (i+1) + ": " + l + "\r\n").join("");
+    }
+
+    function apo(options) {
+        let channelPreamps = options.channelPreamps || [];
+        let comments = options.comments || [], includes = options.includes || [];
+        let separate = options.channels.length > 1;
+        // Imported preamps, comments and includes are written in the Channel: block they were in
+        let scoped = (lines, channel) => lines.filter(l => l.channel === channel).map(l => l.line + "\r\n").join("");
+        let channelBlock = (channel) => "Channel: " + channel + "\r\n" +
+            channelPreamps.filter(p => p.channel === channel).map(p => "Preamp: " + p.gain.toFixed(1) + " dB\r\n").join("") +
+            scoped(comments, channel) + scoped(includes, channel);
+        let otherChannels = Array.from(new Set(comments.concat(includes, channelPreamps)
+            .map(l => l.channel))).filter(c => c !== null && !(separate && (c === "L" || c === "R")));
+        let settings = (options.header || []).map(l => l + "\r\n").join("") +
+            scoped(comments, null) +
+            "Preamp: " + options.preamp.toFixed(1) + " dB\r\n" +
+            scoped(includes, null) +
+            otherChannels.map(channelBlock).join("");
+        if (separate) {
+            // Equalizer APO applies following filters to the selected channel only
+            settings += channelBlock("L") + apoFilters(options.channels[0]) +
+                channelBlock("R") + apoFilters(options.channels[1]);
+        } else {
+            settings += (otherChannels.length ? "Channel: all\r\n" : "") + apoFilters(options.channels[0]);
+        }
+        return settings;
+    }
+
+    // ===========================================
+    // ZIP
+    // ===========================================
+    let crc32Table = null;
+    function crc32(bytes) {
+        if (!crc32Table) {
+            crc32Table = new Uint32Array(256).map((_, n) => {
+                for (let k = 0; k < 8; k++) {
+                    n = (n & 1) ? 0xEDB88320 ^ (n >>> 1) : n >>> 1;
+                }
+                return n;
+            });
+        }
+        let crc = 0xFFFFFFFF;
+        bytes.forEach(b => crc = crc32Table[(crc ^ b) & 0xFF] ^ (crc >>> 8));
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function zip(files) {
+        // Uncompressed (stored) ZIP archive of [{ name, text }]
+        let encoder = new TextEncoder();
+        let parts = [], central = [], offset = 0;
+        let header = (fields) => {
+            let view = new DataView(new ArrayBuffer(fields.reduce((n, [size]) => n + size, 0)));
+            let pos = 0;
+            fields.forEach(([size, value]) => {
+                size === 4 ? view.setUint32(pos, value, true) : view.setUint16(pos, value, true);
+                pos += size;
+            });
+            return new Uint8Array(view.buffer);
+        };
+        files.forEach(file => {
+            let name = encoder.encode(file.name);
+            let data = encoder.encode(file.text);
+            let crc = crc32(data);
+            // Version 2.0, UTF-8 names, stored, 1980-01-01 00:00
+            let common = [[2, 20], [2, 0x0800], [2, 0], [2, 0], [2, 0x21], [4, crc], [4, data.length], [4, data.length], [2, name.length], [2, 0]];
+            parts.push(header([[4, 0x04034b50], ...common]), name, data);
+            central.push(header([[4, 0x02014b50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]), name);
+            offset += 30 + name.length + data.length;
+        });
+        let centralSize = central.reduce((n, p) => n + p.length, 0);
+        let end = header([[4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length], [4, centralSize], [4, offset], [2, 0]]);
+        return new Blob([...parts, ...central, end], { type: "application/zip" });
+    }
+
+    // ===========================================
+    // WAV
+    // ===========================================
+    function floatWav(channels, sampleRate) {
+        // 32-bit float WAV with interleaved channels
+        let frames = channels[0].length, channelCount = channels.length;
+        let dataSize = frames * channelCount * 4;
+        let view = new DataView(new ArrayBuffer(58 + dataSize));
+        let writeString = (offset, str) => str.split("").forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+        writeString(0, "RIFF");
+        view.setUint32(4, 50 + dataSize, true);
+        writeString(8, "WAVE");
+        writeString(12, "fmt ");
+        view.setUint32(16, 18, true);
+        view.setUint16(20, 3, true); // WAVE_FORMAT_IEEE_FLOAT
+        view.setUint16(22, channelCount, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * channelCount * 4, true);
+        view.setUint16(32, channelCount * 4, true);
+        view.setUint16(34, 32, true);
+        view.setUint16(36, 0, true);
+        writeString(38, "fact");
+        view.setUint32(42, 4, true);
+        view.setUint32(46, frames, true);
+        writeString(50, "data");
+        view.setUint32(54, dataSize, true);
+        for (let i = 0; i < frames; ++i) {
+            channels.forEach((c, j) => view.setFloat32(58 + (i * channelCount + j) * 4, c[i], true));
+        }
+        return view.buffer;
+    }
+
+    // ===========================================
+    // Public API
+    // ===========================================
+    const publicAPI = {
+        apo: apo,
+        zip: zip,
+        floatWav: floatWav
+    };
+
+    return publicAPI;
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileExport;
+}
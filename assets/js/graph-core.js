@@ -0,0 +1,287 @@
+/**
+ * Graph Core Module
+ * Measurement math shared by the graph tool and Node scripts, without d3 or the DOM so the
+ * results are the same in both: frequency response parsing, smoothing, loudness normalization,
+ * channel averaging and 90% inclusion / confidence bounds. Curves are [[freq, dB], ...].
+ *
+ * Usage:
+ *   // Browser: load after equalizer.js, GraphCore is a global
+ *   // Node:
+ *   const GraphCore = require("./assets/js/graph-core.js");
+ *   let curve = GraphCore.Equalizer.interp(GraphCore.f_values, GraphCore.tsvParse(text));
+ *   let offset = GraphCore.find_offset(curve, 60);
+ *   let smoothed = GraphCore.smooth_curve(curve, 1);
+ *   let [upper, lower] = GraphCore.calculateInclusionWindows(channels);
+ */
+const GraphCore = (function() {
+    'use strict';
+
+    const Equalizer = (typeof window !== 'undefined' && window.Equalizer) || require("./equalizer.js");
+
+    // ===========================================
+    // Helpers
+    // ===========================================
+    let range = (start, stop) => Array.from({ length: Math.max(stop - start, 0) }, (_, i) => start + i);
+    // Same as d3.sum, values which are NaN or missing are skipped
+    let sum = (arr, fn) => arr.reduce((s, v, i) => { v = +fn(v, i); return v ? s + v : s; }, 0);
+    let pair = (arr,fn) => arr.slice(1).map((v,i)=>fn(v,arr[i]));
+
+    // Standard frequencies, all phone need to interpolate to this
+    const f_values = (function() {
+        let f = [20];
+        let step = Math.pow(2, 1/48); // 1/48 octave
+        while (f[f.length-1] < 20000) { f.push(f[f.length-1] * step) }
+        return f;
+    })();
+
+    // ===========================================
+    // Parsing
+    // ===========================================
+    // Parse fr text data from REW or AudioTool format with whatever separator
+    function tsvParse(fr) {
+        return fr.split(/[\r\n]/)
+            .map(l => l.trim()).filter(l => l && l[0] !== '*')
+            .map(l => l.split(/[\s,]+/).map(e => parseFloat(e)).slice(0, 2))
+            .filter(t => !isNaN(t[0]) && !isNaN(t[1]));
+    }
+
+    // ===========================================
+    // Smoothing
+    // ===========================================
+    function smooth_prep(h, d) {
+        let rh = h.map(d=>1/d),
+            G = [ rh.slice(0,rh.length-1),
+                  pair(rh, (a,b)=>-(a+b)),
+                  rh.slice(1) ],
+            dv = range(0, rh.length+1).map(i=>d(i)),
+            dG = G.map((r,j) => r.map((e,i) => e*dv[i+j])),
+            d2 = dv.map(e=>e*e),
+            h6 = h.map(d=>d/6),
+            M = [ pair(h6, (a,b)=>2*(a+b)),
+                  h6.slice(1,h6.length-1),
+                  h6.slice(3).map(_=>0) ];
+        dG.forEach((_,k) =>
+            dG.slice(k).forEach((g,i) =>
+                dG[i].slice(k).forEach((a,j) => M[k][j] += a*g[j])
+            )
+        );
+
+        // Diagonal LDL decomposition of M
+        let md = [M[0][0]],
+            ml = M.slice(1).map(m=>[m[0]/md]);
+        range(1,M[0].length).forEach(j => {
+            let n = ml.length,
+                p = md.slice(-n).reverse().map((d,i)=>d*ml[i][j-1-i]),
+                a = M.map((m,k) => m[j] - sum(p.slice(0,n-k),
+                          (a,i) => a*ml[k+i][j-1-i]));
+            md.push(a[0]);
+            ml.forEach((l,j)=>l.push(a[j+1]/a[0]));
+        });
+
+        return { G:G, md:md, ml:ml, d2:d2 };
+    }
+
+    function smooth_eval(p, y) {
+        let Gy = p.G[0].map(_=>0),
+            n = Gy.length;
+        p.G.forEach((r,j) => r.forEach((e,i) => Gy[i] += e*y[i+j]));
+        // Forward substitution and multiply by p.md
+        for (let i=0; i<n; i++) {
+            let yi = Gy[i];
+            p.ml.forEach((m,k) => { let j=i+k+1; if (j<n) Gy[j] -= m[i]*yi; });
+            Gy[i] /= p.md[i];
+        }
+        // Back substitution
+        for (let i=n; i--; ) {
+            let yi = Gy[i];
+            p.ml.forEach((m,k) => { let j=i-k-1; if (j>=0) Gy[j] -= m[j]*yi; });
+        }
+        let u = y.slice();
+        p.G.forEach((r,j) => r.forEach((e,i) => u[i+j] -= e*p.d2[i+j]*Gy[i]));
+        return u;
+    }
+
+    // Smoothing parameters for frequencies fv, level is the graph tool's smoothing level and
+    // scale the config's scale_smoothing / 100
+    function smooth_params(fv, level, scale = 0.01) {
+        let x = fv.map(f=>Math.log(f)),
+            h = pair(x, (a,b)=>a-b),
+            s = level*scale,
+            d = i => s*Math.pow(1/80,Math.pow(i/x.length,2));
+        return smooth_prep(h, d);
+    }
+
+    function smooth_curve(c, level, scale = 0.01) {
+        if (level === 0) { return c; }
+        let p = smooth_params(c.map(d=>d[0]), level, scale);
+        return smooth_eval(p, c.map(d=>d[1])).map((d,i)=>[c[i][0],d]);
+    }
+
+    // ===========================================
+    // Normalization with target loudness
+    // ===========================================
+    const iso223_params = { // :Updated to comply with both ISO 226:2023 as well as ISO 389-7:2019
+        f  : [   20,    25, 31.5,    40,    50,    63,    80,   100,   125,  160,   200,   250,   315,   400,   500,   630,   800, 1000,  1250,  1600,  2000,  2500,  3150,  4000,  5000,  6300,  8000, 10000, 12500],
+        a_f: [0.635, 0.602, 0.569, 0.537, 0.509, 0.482, 0.456, 0.433, 0.412, 0.391, 0.373, 0.357, 0.343, 0.33, 0.32, 0.311, 0.303, 0.3, 0.295, 0.292, 0.29, 0.29, 0.289, 0.289, 0.289, 0.293, 0.303, 0.323, 0.354],
+        L_U: [-31.5, -27.2,  -23.1, -19.3, -16.1, -13.1, -10.4, -8.2, -6.3, -4.6,  -3.2,    -2.1,  -1.2,  -0.5,     0,   0.4,   0.5,    0,  -2.7,  -4.2,    -1.2,   1.4,   2.3,   1,  -2.3,  -7.2, -11.2, -10.9,  -3.5],
+        T_f: [ 78.1,  68.7, 59.5,  51.1,    44,  37.5,  31.5,  26.5,  22.1, 17.9,  14.4,  11.4,   8.4,   5.8,   3.8,     2.1,   1,  0.8,   1.9,   0.5,  -1.5,  -3.1,    -4,  -3.8,  -1.8,     2.5,  6.8,  9.8,  14.4]
+    };
+    const free_field = [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0.001,0.001,0.002,0.003,0.004,0.006,0.007,0.009,0.011,0.013,0.016,0.018,0.021,0.023,0.026,0.028,0.034,0.042,0.05,0.061,0.072,0.083,0.097,0.109,0.124,0.135,0.155,0.163,0.187,0.2,0.219,0.227,0.237,0.247,0.269,0.272,0.284,0.296,0.308,0.319,0.336,0.348,0.361,0.375,0.388,0.401,0.415,0.428,0.441,0.454,0.468,0.481,0.494,0.506,0.519,0.532,0.544,0.557,0.569,0.581,0.593,0.604,0.616,0.627,0.64,0.652,0.664,0.676,0.684,0.7,0.708,0.723,0.735,0.747,0.759,0.771,0.787,0.799,0.815,0.828,0.845,0.863,0.881,0.895,0.913,0.927,0.945,0.963,0.987,1.01,1.033,1.057,1.075,1.09,1.109,1.127,1.15,1.172,1.194,1.216,1.239,1.261,1.284,1.307,1.331,1.354,1.378,1.402,1.437,1.462,1.502,1.528,1.562,1.597,1.632,1.674,1.71,1.746,1.788,1.825,1.855,1.898,1.935,1.977,2.019,2.05,2.092,2.128,2.176,2.219,2.261,2.308,2.355,2.395,2.435,2.479,2.534,2.587,2.638,2.688,2.727,2.76,2.792,2.826,2.861,2.893,2.924,2.955,2.984,3.013,3.042,3.07,3.098,3.126,3.154,3.182,3.216,3.253,3.292,3.328,3.367,3.412,3.457,3.5,3.544,3.593,3.632,3.691,3.739,3.793,3.848,3.9,3.953,4.011,4.071,4.128,4.202,4.278,4.35,4.435,4.515,4.596,4.684,4.763,4.864,4.933,5.061,5.108,5.262,5.346,5.473,5.527,5.614,5.7,5.904,5.934,6.052,6.172,6.293,6.415,6.602,6.728,6.888,7.051,7.216,7.384,7.554,7.729,7.917,8.11,8.306,8.504,8.705,8.909,9.115,9.322,9.532,9.742,9.954,10.168,10.382,10.597,10.812,11.035,11.34,11.649,11.955,12.257,12.455,12.843,13.032,13.4,13.665,13.92,14.165,14.398,14.691,14.897,15.151,15.317,15.472,15.597,15.703,15.77,15.845,15.891,15.937,15.969,15.989,15.989,15.97,15.933,15.891,15.854,15.795,15.723,15.602,15.466,15.321,15.168,15.009,14.845,14.676,14.504,14.329,14.153,13.976,13.798,13.55,13.375,13.098,12.932,12.756,12.587,12.422,12.236,12.081,11.931,11.761,11.621,11.507,11.353,11.227,11.084,10.949,10.856,10.731,10.629,10.507,10.407,10.312,10.21,10.115,10.036,9.963,9.885,9.795,9.714,9.641,9.577,9.531,9.494,9.461,9.434,9.44,9.456,9.475,9.496,9.517,9.538,9.558,9.575,9.59,9.601,9.608,9.609,9.604,9.589,9.562,9.517,9.408,9.268,9.118,8.971,8.818,8.645,8.509,8.298,8.127,7.938,7.747,7.569,7.391,7.198,7.006,6.832,6.632,6.437,6.257,6.053,5.864,5.678,5.481,5.31,5.095,4.952,4.696,4.604,4.31,4.154,3.925,3.826,3.658,3.49,3.11,3.057,2.848,2.646,2.449,2.259,1.986,1.812,1.604,1.407,1.221,1.046,0.882,0.734,0.634,0.55,0.477,0.412,0.355,0.306,0.262,0.223,0.189,0.159,0.133,0.108,0.086,0.066,0.046].map(v=>v-13);
+
+    function init_normalize(fv) { // Interpolate values for find_offset
+        let par = [], ff = [];
+        par.free_field = ff;
+        const p = iso223_params;
+        let i = 0;
+        fv.forEach(function (f) {
+            if (f >= p.f[i]) { i++; }
+            let i0 = Math.max(0,i-1),
+                i1 = Math.min(i,p.f.length-1),
+                g;
+            if (i0===i1) {
+                g = n => p[n][i0];
+            } else {
+                let ll= [p.f[i0],p.f[i1],f].map(x=>Math.log(x)),
+                    l = (ll[2]-ll[0])/(ll[1]-ll[0]);
+                g = n => { let v=p[n]; return v[i0]+l*(v[i1]-v[i0]); };
+            }
+            let a = g("a_f"),
+                m = a * (Math.log10(4)-10 + g("L_U")/10),
+                k = (0.005076/Math.pow(10,m)) - Math.pow(10, a*g("T_f")/10),
+                c = Math.pow(10, 9.4 + 4*m) / fv.length;
+            par.push({a:a, k:k, c:c});
+            let ffi = Math.floor(0.5+48*Math.log2(f/19.4806));
+            ff.push(free_field[Math.max(0,Math.min(479,ffi))]);
+        });
+        return par;
+    }
+
+    // Find the appropriate offset (in dB) for fr so that the total loudness
+    // is equal to target (in phon)
+    let norm_par = []; // Cached interpolated ISO parameters
+    function find_offset(c, target) {
+        let par;
+        if (c.length!==f_values.length) {
+            par = init_normalize(c.map(d=>d[0]));
+        } else {
+            if (!norm_par.length) { norm_par = init_normalize(f_values); }
+            par = norm_par;
+        }
+        let fr = c.map(v=>v[1]);
+        let x = 0; // Initial offset
+        function getStep(o) {
+            const l10 = Math.log(10)/10;
+            let v=0, d=0;
+            par.forEach(function (p,i) {
+                let a=p.a, k=p.k, c=p.c, ds,v0,v1;
+                v0  = Math.exp(l10*(fr[i]+o-par.free_field[i]));
+                ds  = l10 * v0;
+                v1  = k + Math.pow(v0,a);
+                ds *= a * Math.pow(v0,a-1);
+                v  += c * Math.pow(v1,4);
+                ds *= c * 4 * Math.pow(v1,3);
+                d  += ds;
+            });
+            // value: Math.log(v)/l10
+            // deriv: d / (l10*v)
+            return (Math.log(v) - target*l10) * (v/d);
+        }
+        let dx;
+        do {
+            dx = getStep(x);
+            x -= dx;
+        } while (Math.abs(dx) > 0.01);
+        return x;
+    }
+
+    // ===========================================
+    // Channel Averaging
+    // ===========================================
+    // Average of the sound pressure, used for channel averages
+    function avgCurves(curves) {
+        return curves
+            .map(c=>c.map(d=>Math.pow(10,d[1]/20)))
+            .reduce((as,bs) => as.map((a,i) => a+bs[i]))
+            .map((x,i) => [curves[0][i][0], 20*Math.log10(x/curves.length)]);
+    }
+
+    // Average of the dB values, used for averages over many models
+    function avgCurvesArithmetic(curves) {
+        return curves[0].map((_, i) => {
+            const sum = curves.reduce((acc, curve) => acc + curve[i][1], 0);
+            return [curves[0][i][0], sum / curves.length];
+        });
+    }
+
+    // ===========================================
+    // Bounds
+    // ===========================================
+    // Each returns [upperBounds, lowerBounds] over measurements with the same frequencies
+    function boundsBy(rawChannels, fn) {
+        const upperBounds = [];
+        const lowerBounds = [];
+        rawChannels[0].forEach(([frequency], i) => {
+            const [lower, upper] = fn(rawChannels.map(channel => channel[i][1]));
+            upperBounds.push([frequency, upper]);
+            lowerBounds.push([frequency, lower]);
+        });
+        return [upperBounds, lowerBounds];
+    }
+
+    function calculatePercentile(values, percentile) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.ceil((percentile / 100) * sorted.length) - 1;
+        return sorted[index];
+    }
+
+    // 90% inclusion zone, 5th to 95th percentile of the measurements
+    function calculateInclusionWindows(rawChannels) {
+        return boundsBy(rawChannels, values =>
+            [calculatePercentile(values, 5), calculatePercentile(values, 95)]);
+    }
+
+    // 90% confidence interval of the mean
+    function calculateConfidenceIntervals(rawChannels) {
+        return boundsBy(rawChannels, values => {
+            const mean = values.reduce((acc, val) => acc + val, 0) / values.length;
+            const stdev = Math.sqrt(values.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / values.length);
+            const marginOfError = 1.645 * (stdev / Math.sqrt(values.length));
+            return [mean - marginOfError, mean + marginOfError];
+        });
+    }
+
+    function calculateMinMaxSpread(rawChannels) {
+        return boundsBy(rawChannels, values => [Math.min(...values), Math.max(...values)]);
+    }
+
+    // ===========================================
+    // Public API
+    // ===========================================
+    const publicAPI = {
+        Equalizer: Equalizer,
+        f_values: f_values,
+        tsvParse: tsvParse,
+        pair: pair,
+        smooth_prep: smooth_prep,
+        smooth_eval: smooth_eval,
+        smooth_params: smooth_params,
+        smooth_curve: smooth_curve,
+        iso223_params: iso223_params,
+        free_field: free_field,
+        init_normalize: init_normalize,
+        find_offset: find_offset,
+        avgCurves: avgCurves,
+        avgCurvesArithmetic: avgCurvesArithmetic,
+        calculatePercentile: calculatePercentile,
+        calculateInclusionWindows: calculateInclusionWindows,
+        calculateConfidenceIntervals: calculateConfidenceIntervals,
+        calculateMinMaxSpread: calculateMinMaxSpread
+    };
+
+    return publicAPI;
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GraphCore;
+}
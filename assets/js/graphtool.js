@@ -33,6 +33,7 @@ doc.html(`
     <div class="graphBox" data-sticky-graph="`+ alt_sticky_graph +`" data-animated="`+ alt_animated +`">
       <div class="graph-sizer">
         <svg id="fr-graph" viewBox="0 0 800 340" data-labels-position="`+ labelsPosition +`"></svg>
+        <svg id="phase-graph" viewBox="0 0 800 160" style="display:none"></svg>
       </div>
 
       <div class="tools collapseTools">
@@ -81,6 +82,11 @@ doc.html(`
           <button id="label"><span>▭</span> label</button>
           <button id="download"><span><u>⇩</u></span> screenshot</button>
           <button id="recolor"><span>○</span> recolor</button>
+          <button id="undo" disabled><span>↶</span> undo</button>
+          <button id="redo" disabled><span>↷</span> redo</button>
+          <button id="session-save"><span>⇩</span> save session</button>
+          <button id="session-open"><span>⇧</span> open session</button>
+          <form style="display:none"><input type="file" id="file-session" accept=".json" /></form>
         </div>
 
         <div class="expand-collapse">
@@ -186,7 +192,7 @@ doc.html(`
                 <form style="display:none"><input type="file" id="file-fr" accept=".csv,.txt" /></form>
                 <form style="display:none"><input type="file" id="file-audio" accept="audio/*" /></form>
               </div>
-              <span style="margin: 0 0 1em 0"><small>Uploaded data will not be persistent</small></span>
+              <span style="margin: 0 0 1em 0"><small>Uploaded curves are kept in the session, songs are not</small></span>
             </div>
             <div class="extra-eq">
               <h4 style="margin:0 0 6px 0">Parametric Equalizer</h4>
@@ -195,7 +201,52 @@ doc.html(`
                     <option value="" selected>Choose EQ model</option>
                 </select>
               </div>
+              <details class="eq-profiles">
+                <summary>Profiles</summary>
+                <div class="eq-profile-save">
+                  <input type="text" name="eq-profile-name" placeholder="Profile name" spellcheck="false">
+                  <button class="eq-profile-save">Save</button>
+                </div>
+                <div class="eq-profile-list"></div>
+                <div class="eq-ab">
+                  <button class="eq-ab-slot" disabled>A</button>
+                  <button class="eq-ab-slot" disabled>B</button>
+                </div>
+              </details>
+              <div class="settings-row" style="margin:0">
+                <span name="title">Sample Rate</span>
+                <span class="sample-rate">
+                  <select name="sample-rate">
+                    <option value="44100">44.1 kHz</option>
+                    <option value="48000" selected>48 kHz</option>
+                    <option value="88200">88.2 kHz</option>
+                    <option value="96000">96 kHz</option>
+                    <option value="176400">176.4 kHz</option>
+                    <option value="192000">192 kHz</option>
+                  </select>
+                </span>
+              </div>
+              <small class="sample-rate-warning" style="display:none"></small>
+              <div class="settings-row" style="margin:0">
+                <span name="title">Channels</span>
+                <span>
+                  <select name="eq-channel-mode">
+                    <option value="linked" selected>Linked</option>
+                    <option value="separate">Separate L/R</option>
+                  </select>
+                </span>
+                <span>
+                  <select name="eq-edit-channel" disabled>
+                    <option value="0" selected>Edit L</option>
+                    <option value="1">Edit R</option>
+                  </select>
+                </span>
+              </div>
               <h4 id="preamp-disp" style="margin-top:12px">Pre-amp: 0.0 dB</h4>
+              <details class="headroom-report">
+                <summary>Headroom</summary>
+                <div class="headroom-content"></div>
+              </details>
               <div class="filters-header">
                 <span>Type</span>
                 <span>Frequency</span>
@@ -210,6 +261,19 @@ doc.html(`
                         <option value="PK" selected>PK</option>
                         <option value="LSQ">LSQ</option>
                         <option value="HSQ">HSQ</option>
+                        <option value="LS6">LS6</option>
+                        <option value="HS6">HS6</option>
+                        <option value="LS12">LS12</option>
+                        <option value="HS12">HS12</option>
+                        <option value="HPQ">HPQ</option>
+                        <option value="LPQ">LPQ</option>
+                        <option value="HP">HP12</option>
+                        <option value="LP">LP12</option>
+                        <option value="HP24">HP24</option>
+                        <option value="LP24">LP24</option>
+                        <option value="NO">NO</option>
+                        <option value="BP">BP</option>
+                        <option value="AP">AP</option>
                       </select>
                     </span>
                     <span><input name="freq" type="number" min="20" max="20000" step="1" value="0"></input></span>
@@ -228,6 +292,10 @@ doc.html(`
                 <button class="interactive-eq-help" title="Help">?</button>
                 <button class="reset-eq">Reset EQ</button>
               </div>
+              <div class="phase-graph-row">
+                <button class="phase-graph-toggle">Phase</button>
+                <button class="group-delay-toggle">Group Delay</button>
+              </div>
               <div class="interactive-eq-tooltip" style="display:none;">
                 <div class="tooltip-content desktop-controls">
                   <b>Controls:</b><br>
@@ -265,6 +333,42 @@ doc.html(`
                 <span><input name="autoeq-q-from" type="number" min="0.1" max="10" step="0.1" value="0.1"></input></span>
                 <span><input name="autoeq-q-to" type="number" min="0.1" max="10" step="0.1" value="3"></input></span>
               </div>
+              <div class="settings-row" style="margin-top:0;">
+                <span name="title">Error Mask</span>
+                <span><button class="add-mask-region">+ Region</button></span>
+                <span></span>
+              </div>
+              <div class="settings-row mask-header" style="margin-top:0;display:none">
+                <span>From (Hz)</span>
+                <span>To (Hz)</span>
+                <span>Weight</span>
+                <span>±dB</span>
+              </div>
+              <div class="autoeq-mask"></div>
+              <div class="settings-row" style="margin-top:0;">
+                <span name="title">Optimizer / Loss</span>
+                <span>
+                  <select name="autoeq-optimizer">
+                    <option value="greedy" selected>Greedy</option>
+                    <option value="global">Global</option>
+                  </select>
+                </span>
+                <span>
+                  <select name="autoeq-loss">
+                    <option value="rms" selected>RMS</option>
+                    <option value="weighted_rms">Weighted RMS</option>
+                    <option value="max_dev">Max Dev</option>
+                    <option value="preference">Preference</option>
+                  </select>
+                </span>
+              </div>
+              <div class="settings-row" style="margin-top:0;">
+                <span name="title">Device</span>
+                <span class="device-profile">
+                  <select name="autoeq-device"></select>
+                </span>
+              </div>
+              <small class="autoeq-result"></small>
               <div class="auto-eq-button" style="margin-bottom:6px">              
                 <button class="autoeq">AutoEQ</button>
                 <button class="readme">Readme</button>
@@ -318,27 +422,79 @@ doc.html(`
                 <button class="import-filters">Import EQ</button>
                 <button class="export-filters">Export Parametric EQ</button>
                 <button class="export-filters-tmreq">Export Parametric EQ (RME Formatted)</button>
+                <button class="export-totalmix-bundle">Export TotalMix Bundle (ZIP)</button>
+                <button class="export-qudelix">Export Qudelix-5K (JSON)</button>
+                <button class="export-fiio">Export FiiO PEQ (JSON)</button>
+                <button class="export-moondrop">Export Tanchjim / Moondrop (JSON)</button>
                 <button class="export-graphic-filters">Export Graphic EQ (Wavelet)</button>
+                <button class="export-camilladsp">Export CamillaDSP (YAML)</button>
+                <button class="export-pipewire">Export PipeWire Filter Chain</button>
+                <button class="export-impulse">Export Impulse (WAV)</button>
+              </div>
+              <div class="settings-row" style="margin:0 0 2px 0">
+                <span name="title">Impulse Source</span>
+                <span class="impulse-option">
+                  <select name="impulse-source">
+                    <option value="filters" selected>EQ Filters</option>
+                    <option value="correction">Model → Target</option>
+                  </select>
+                </span>
+              </div>
+              <div class="settings-row" style="margin:0 0 2px 0">
+                <span name="title">Impulse Phase / Taps</span>
+                <span>
+                  <select name="impulse-phase">
+                    <option value="minimum" selected>Min</option>
+                    <option value="linear">Linear</option>
+                  </select>
+                </span>
+                <span>
+                  <select name="impulse-taps">
+                    <option value="4096">4096</option>
+                    <option value="8192">8192</option>
+                    <option value="16384" selected>16384</option>
+                    <option value="32768">32768</option>
+                    <option value="65536">65536</option>
+                  </select>
+                </span>
+              </div>
+              <div class="settings-row" style="margin:0">
+                <span name="title">Impulse Channels</span>
+                <span class="impulse-option">
+                  <select name="impulse-channels">
+                    <option value="stereo" selected>Stereo L/R</option>
+                    <option value="mono">Mono</option>
+                  </select>
+                </span>
               </div>
               <h4 style="margin: 12px 0 6px 0">TotalMixFX OSC</h4>
               <div class="totalmix-direct">
                 <div class="settings-row" style="margin-bottom:6px">
-                  <span name="title">Output Channel</span>
-                  <select name="totalmix-channel" disabled style="width:60%">
-                    <option value="">Click Connect</option>
-                  </select>
+                  <span name="title">Bridge URL</span>
+                  <input name="totalmix-bridge-url" type="text" spellcheck="false" style="width:60%">
+                </div>
+                <div class="settings-row" style="margin-bottom:6px">
+                  <span name="title">Output Channels</span>
+                  <div class="totalmix-channel-list linked">Click Connect</div>
                 </div>
                 <div class="filters-button">
                   <button class="totalmix-connect">Connect</button>
                   <button class="totalmix-send" disabled>Send EQ</button>
                   <button class="totalmix-read" disabled>Read EQ</button>
+                  <label class="totalmix-live" title="Send changed bands while editing"><input type="checkbox" name="totalmix-live" disabled> Live</label>
+                </div>
+                <div class="filters-button">
+                  <button class="totalmix-snapshot" disabled>Snapshot All</button>
+                  <button class="totalmix-diff" disabled>Diff Device / Editor</button>
                 </div>
                 <div class="totalmix-status" style="margin-top:4px;font-size:0.85em;color:#999">
                   Not connected - download <a href="https://github.com/kr0mka/totalmix-osc-bridge/releases" target="_blank" style="color:#999">totalmix-bridge</a> first
                 </div>
+                <div class="totalmix-diff-result"></div>
+                <div class="totalmix-snapshots"></div>
               </div>
               <a style="display: none" id="file-filters-export"></a>
-              <form style="display:none"><input type="file" id="file-filters-import" accept=".txt" /></form>
+              <form style="display:none"><input type="file" id="file-filters-import" accept=".txt,.csv,.json,.tmreq,.tmeq" multiple /></form>
             </div>
           </div>
         </div>
@@ -525,6 +681,9 @@ rangeSel.on("click", function (_,i) {
     let e = edgeWs[s];
     fadeEdge.transition().duration(dur).attrs(i=>({x:i?W-e[i]:0, width:e[i]}));
     xAxisObj.transition().duration(dur).call(fmtX);
+    if (typeof PhaseGraph !== 'undefined') PhaseGraph.transition(dur);
+    if (window.updateAutoEQMask) window.updateAutoEQMask(dur);
+    Session.autosave();
 });
 
 
@@ -566,12 +725,23 @@ dB.scale.selectAll().data([10,7,13])
 function getDrag(fn) {
     return d3.drag()
         .on("drag",fn)
-        .on("start",function(){dB.all.classed("active",true );})
+        .on("start",function(){
+            dB.all.classed("active",true );
+            UndoHistory.begin();
+        })
         .on("end"  ,function(){
             dB.all.classed("active",false);
             if (window.updateEQHandles) window.updateEQHandles();
+            Session.autosave();
+            UndoHistory.commit();
         });
 }
+// Discrete actions are an undo step each, values typed into a field become one with their
+// change event
+function commitStep() {
+    if (d3.event && d3.event.type === "input") return;
+    UndoHistory.commit();
+}
 dB.mid = dB.all.append("rect")
     .attrs({x:(pad.l-11),y:dB.y-dB.h,width:12,height:2*dB.h,opacity:0})
     .call(getDrag(function () {
@@ -622,6 +792,7 @@ function updateYScaling(h, y) {
     updateBoundsScaling(h);
     // Update EQ handles when Y scale changes
     if (window.updateEQHandles) window.updateEQHandles();
+    Session.autosave();
 }
 
 function updateBoundsScaling(h) {
@@ -870,74 +1041,13 @@ doc.select("#download")
     });
 
 
-// Graph smoothing
-let pair = (arr,fn) => arr.slice(1).map((v,i)=>fn(v,arr[i]));
-
-function smooth_prep(h, d) {
-    let rh = h.map(d=>1/d),
-        G = [ rh.slice(0,rh.length-1),
-              pair(rh, (a,b)=>-(a+b)),
-              rh.slice(1) ],
-        dv = d3.range(rh.length+1).map(i=>d(i)),
-        dG = G.map((r,j) => r.map((e,i) => e*dv[i+j])),
-        d2 = dv.map(e=>e*e),
-        h6 = h.map(d=>d/6),
-        M = [ pair(h6, (a,b)=>2*(a+b)),
-              h6.slice(1,h6.length-1),
-              h6.slice(3).map(_=>0) ];
-    dG.forEach((_,k) =>
-        dG.slice(k).forEach((g,i) =>
-            dG[i].slice(k).forEach((a,j) => M[k][j] += a*g[j])
-        )
-    );
-
-    // Diagonal LDL decomposition of M
-    let md = [M[0][0]],
-        ml = M.slice(1).map(m=>[m[0]/md]);
-    d3.range(1,M[0].length).forEach(j => {
-        let n = ml.length,
-            p = md.slice(-n).reverse().map((d,i)=>d*ml[i][j-1-i]),
-            a = M.map((m,k) => m[j] - d3.sum(p.slice(0,n-k),
-                      (a,i) => a*ml[k+i][j-1-i]));
-        md.push(a[0]);
-        ml.forEach((l,j)=>l.push(a[j+1]/a[0]));
-    });
-
-    return { G:G, md:md, ml:ml, d2:d2 };
-}
-
-function smooth_eval(p, y) {
-    let Gy = p.G[0].map(_=>0),
-        n = Gy.length;
-    p.G.forEach((r,j) => r.forEach((e,i) => Gy[i] += e*y[i+j]));
-    // Forward substitution and multiply by p.md
-    for (let i=0; i<n; i++) {
-        let yi = Gy[i];
-        p.ml.forEach((m,k) => { let j=i+k+1; if (j<n) Gy[j] -= m[i]*yi; });
-        Gy[i] /= p.md[i];
-    }
-    // Back substitution
-    for (let i=n; i--; ) {
-        let yi = Gy[i];
-        p.ml.forEach((m,k) => { let j=i-k-1; if (j>=0) Gy[j] -= m[j]*yi; });
-    }
-    let u = y.slice();
-    p.G.forEach((r,j) => r.forEach((e,i) => u[i+j] -= e*p.d2[i+j]*Gy[i]));
-    return u;
-}
-
+// Graph smoothing, the math is in GraphCore
 let smooth_level = 1,
     smooth_scale = 0.01*(typeof scale_smoothing !== "undefined" ? scale_smoothing : 1),
     smooth_param = undefined;
 function smooth(y, c) {
     if (smooth_level === 0) { return y; }
-    let get_param = fv => {
-        let x = fv.map(f=>Math.log(f)),
-            h = pair(x, (a,b)=>a-b),
-            s = smooth_level*smooth_scale,
-            d = i => s*Math.pow(1/80,Math.pow(i/x.length,2));
-        return smooth_prep(h, d);
-    }
+    let get_param = fv => GraphCore.smooth_params(fv, smooth_level, smooth_scale);
     let p;
     if (y.length!==f_values.length) {
         p = get_param(c.map(d=>d[0]));
@@ -945,7 +1055,7 @@ function smooth(y, c) {
         if (!smooth_param) { smooth_param = get_param(f_values); }
         p = smooth_param;
     }
-    return smooth_eval(p, y);
+    return GraphCore.smooth_eval(p, y);
 }
 
 function smoothPhone(p) {
@@ -969,79 +1079,9 @@ doc.select("#smooth-level").on("change input", function () {
 
 
 // Normalization with target loudness
-const iso223_params = { // :Updated to comply with both ISO 226:2023 as well as ISO 389-7:2019
-    f  : [   20,    25, 31.5,    40,    50,    63,    80,   100,   125,  160,   200,   250,   315,   400,   500,   630,   800, 1000,  1250,  1600,  2000,  2500,  3150,  4000,  5000,  6300,  8000, 10000, 12500],
-    a_f: [0.635, 0.602, 0.569, 0.537, 0.509, 0.482, 0.456, 0.433, 0.412, 0.391, 0.373, 0.357, 0.343, 0.33, 0.32, 0.311, 0.303, 0.3, 0.295, 0.292, 0.29, 0.29, 0.289, 0.289, 0.289, 0.293, 0.303, 0.323, 0.354],
-    L_U: [-31.5, -27.2,  -23.1, -19.3, -16.1, -13.1, -10.4, -8.2, -6.3, -4.6,  -3.2,    -2.1,  -1.2,  -0.5,     0,   0.4,   0.5,    0,  -2.7,  -4.2,    -1.2,   1.4,   2.3,   1,  -2.3,  -7.2, -11.2, -10.9,  -3.5],
-    T_f: [ 78.1,  68.7, 59.5,  51.1,    44,  37.5,  31.5,  26.5,  22.1, 17.9,  14.4,  11.4,   8.4,   5.8,   3.8,     2.1,   1,  0.8,   1.9,   0.5,  -1.5,  -3.1,    -4,  -3.8,  -1.8,     2.5,  6.8,  9.8,  14.4]
-};
-const free_field = [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0.001,0.001,0.002,0.003,0.004,0.006,0.007,0.009,0.011,0.013,0.016,0.018,0.021,0.023,0.026,0.028,0.034,0.042,0.05,0.061,0.072,0.083,0.097,0.109,0.124,0.135,0.155,0.163,0.187,0.2,0.219,0.227,0.237,0.247,0.269,0.272,0.284,0.296,0.308,0.319,0.336,0.348,0.361,0.375,0.388,0.401,0.415,0.428,0.441,0.454,0.468,0.481,0.494,0.506,0.519,0.532,0.544,0.557,0.569,0.581,0.593,0.604,0.616,0.627,0.64,0.652,0.664,0.676,0.684,0.7,0.708,0.723,0.735,0.747,0.759,0.771,0.787,0.799,0.815,0.828,0.845,0.863,0.881,0.895,0.913,0.927,0.945,0.963,0.987,1.01,1.033,1.057,1.075,1.09,1.109,1.127,1.15,1.172,1.194,1.216,1.239,1.261,1.284,1.307,1.331,1.354,1.378,1.402,1.437,1.462,1.502,1.528,1.562,1.597,1.632,1.674,1.71,1.746,1.788,1.825,1.855,1.898,1.935,1.977,2.019,2.05,2.092,2.128,2.176,2.219,2.261,2.308,2.355,2.395,2.435,2.479,2.534,2.587,2.638,2.688,2.727,2.76,2.792,2.826,2.861,2.893,2.924,2.955,2.984,3.013,3.042,3.07,3.098,3.126,3.154,3.182,3.216,3.253,3.292,3.328,3.367,3.412,3.457,3.5,3.544,3.593,3.632,3.691,3.739,3.793,3.848,3.9,3.953,4.011,4.071,4.128,4.202,4.278,4.35,4.435,4.515,4.596,4.684,4.763,4.864,4.933,5.061,5.108,5.262,5.346,5.473,5.527,5.614,5.7,5.904,5.934,6.052,6.172,6.293,6.415,6.602,6.728,6.888,7.051,7.216,7.384,7.554,7.729,7.917,8.11,8.306,8.504,8.705,8.909,9.115,9.322,9.532,9.742,9.954,10.168,10.382,10.597,10.812,11.035,11.34,11.649,11.955,12.257,12.455,12.843,13.032,13.4,13.665,13.92,14.165,14.398,14.691,14.897,15.151,15.317,15.472,15.597,15.703,15.77,15.845,15.891,15.937,15.969,15.989,15.989,15.97,15.933,15.891,15.854,15.795,15.723,15.602,15.466,15.321,15.168,15.009,14.845,14.676,14.504,14.329,14.153,13.976,13.798,13.55,13.375,13.098,12.932,12.756,12.587,12.422,12.236,12.081,11.931,11.761,11.621,11.507,11.353,11.227,11.084,10.949,10.856,10.731,10.629,10.507,10.407,10.312,10.21,10.115,10.036,9.963,9.885,9.795,9.714,9.641,9.577,9.531,9.494,9.461,9.434,9.44,9.456,9.475,9.496,9.517,9.538,9.558,9.575,9.59,9.601,9.608,9.609,9.604,9.589,9.562,9.517,9.408,9.268,9.118,8.971,8.818,8.645,8.509,8.298,8.127,7.938,7.747,7.569,7.391,7.198,7.006,6.832,6.632,6.437,6.257,6.053,5.864,5.678,5.481,5.31,5.095,4.952,4.696,4.604,4.31,4.154,3.925,3.826,3.658,3.49,3.11,3.057,2.848,2.646,2.449,2.259,1.986,1.812,1.604,1.407,1.221,1.046,0.882,0.734,0.634,0.55,0.477,0.412,0.355,0.306,0.262,0.223,0.189,0.159,0.133,0.108,0.086,0.066,0.046].map(v=>v-13);
-
-function init_normalize(fv) { // Interpolate values for find_offset
-    let par = [], ff = [];
-    par.free_field = ff;
-    const p = iso223_params;
-    let i = 0;
-    fv.forEach(function (f) {
-        if (f >= p.f[i]) { i++; }
-        let i0 = Math.max(0,i-1),
-            i1 = Math.min(i,p.f.length-1),
-            g;
-        if (i0===i1) {
-            g = n => p[n][i0];
-        } else {
-            let ll= [p.f[i0],p.f[i1],f].map(x=>Math.log(x)),
-                l = (ll[2]-ll[0])/(ll[1]-ll[0]);
-            g = n => { let v=p[n]; return v[i0]+l*(v[i1]-v[i0]); };
-        }
-        let a = g("a_f"),
-            m = a * (Math.log10(4)-10 + g("L_U")/10),
-            k = (0.005076/Math.pow(10,m)) - Math.pow(10, a*g("T_f")/10),
-            c = Math.pow(10, 9.4 + 4*m) / fv.length;
-        par.push({a:a, k:k, c:c});
-        ffi = Math.floor(0.5+48*Math.log2(f/19.4806));
-        ff.push(free_field[Math.max(0,Math.min(479,ffi))]);
-    });
-    return par;
-}
-
 // Find the appropriate offset (in dB) for fr so that the total loudness
 // is equal to target (in phon)
-let norm_par = []; // Cached interpolated ISO parameters
-function find_offset(c, target) {
-    let par;
-    if (c.length!==f_values.length) {
-        par = init_normalize(c.map(d=>d[0]));
-    } else {
-        if (!norm_par.length) { norm_par = init_normalize(f_values); }
-        par = norm_par;
-    }
-    let fr = c.map(v=>v[1]);
-    let x = 0; // Initial offset
-    function getStep(o) {
-        const l10 = Math.log(10)/10;
-        let v=0, d=0;
-        par.forEach(function (p,i) {
-            let a=p.a, k=p.k, c=p.c, ds,v0,v1;
-            v0  = Math.exp(l10*(fr[i]+o-par.free_field[i]));
-            ds  = l10 * v0;
-            v1  = k + Math.pow(v0,a);
-            ds *= a * Math.pow(v0,a-1);
-            v  += c * Math.pow(v1,4);
-            ds *= c * 4 * Math.pow(v1,3);
-            d  += ds;
-        });
-        // value: Math.log(v)/l10
-        // deriv: d / (l10*v)
-        return (Math.log(v) - target*l10) * (v/d);
-    }
-    let dx;
-    do {
-        dx = getStep(x);
-        x -= dx;
-    } while (Math.abs(dx) > 0.01);
-    return x;
-}
+let find_offset = GraphCore.find_offset;
 
 
 // File loading and channel management
@@ -1050,7 +1090,18 @@ const LR = typeof default_channels !== "undefined" ? default_channels
 let getO = i => LR.length>1 ? -1+i*2/(LR.length-1) : 0;
 const sampnums = typeof num_samples !== "undefined" ? d3.range(1,num_samples+1)
                                                     : [""];
-function loadFiles(p, callback) {
+// Side of the LR channel at index j, 0 (L) or 1 (R). One channel measurements are L unless
+// named R
+let lrSide = j => LR.length === 2 ? j : /^R/i.test(LR[j]) ? 1 : 0;
+// Sides of loaded channels by their file names, loadFiles leaves out missing files so the
+// position of a channel alone does not tell its side
+const loadedSides = new WeakMap();
+function channelSides(p) {
+    let ch = p.rawChannels;
+    return loadedSides.get(ch) || (p.preComp && loadedSides.get(p.preComp))
+        || ch.map((c, i) => Math.floor(i * 2 / ch.length));
+}
+function loadFiles(p, callback, fail) {
     let l = f => d3.text(DIR+f+".txt").catch(()=>null);
     let lt = f => d3.text(DIR+"targets/"+f+".txt").catch(()=>null);
     let f = p.isTarget ? [lt(p.fileName)]
@@ -1059,9 +1110,13 @@ function loadFiles(p, callback) {
     Promise.all(f).then(function (frs) {
         if (!frs.some(f=>f!==null)) {
             alert("Headphone not found!");
+            if (fail) fail();
         } else {
             let ch = frs.map(f => f && Equalizer.interp(f_values, tsvParse(f)));
+            let sides = p.isTarget ? [0] : frs.map((f, i) => lrSide(Math.floor(i / sampnums.length)));
+            sides = sides.filter((s, i) => ch[i] !== null);
             ch = ch.filter(c => c !== null); // Remove null elements
+            loadedSides.set(ch, sides);
             callback(ch);
         }
     });
@@ -1074,18 +1129,8 @@ let keyExt = LR.length===1 ? 16 : 0;
 let keyLeft= keyExt ? 0 : sampnums.length>1 ? 11 : 0;
 if (keyLeft) d3.select(".key").style("width","17%")
 
-function avgCurves(curves) {
-    return curves
-        .map(c=>c.map(d=>Math.pow(10,d[1]/20)))
-        .reduce((as,bs) => as.map((a,i) => a+bs[i]))
-        .map((x,i) => [curves[0][i][0], 20*Math.log10(x/curves.length)]);
-}
-function avgCurvesArithmetic(curves) {
-    return curves[0].map((_, i) => {
-        const sum = curves.reduce((acc, curve) => acc + curve[i][1], 0);
-        return [curves[0][i][0], sum / curves.length];
-    });
-}
+let avgCurves = GraphCore.avgCurves,
+    avgCurvesArithmetic = GraphCore.avgCurvesArithmetic;
 function getAvg(p) {
     if (p.avg) return p.activeCurves[0].l;
     let v = validChannels(p);
@@ -1287,6 +1332,8 @@ function updateYCenter() {
 function setBaseline(b, no_transition) {
     baseline = b;
     updateYCenter();
+    Session.autosave();
+    commitStep();
     if (no_transition) {
         if (window.updateEQHandles) window.updateEQHandles();
         return;
@@ -1352,6 +1399,21 @@ let ifURL = typeof share_url !== "undefined" && share_url;
 let baseTitle = typeof page_title !== "undefined" ? page_title : "Haruto's Graph Tool (CrinGraph)";
 let baseDescription = typeof page_description !== "undefined" ? page_description : "View and compare frequency response graphs";
 let baseURL;  // Set by setInitPhones
+// Compressed state of the last change, encoding is async so the url gets it a moment later
+let shareState = { json:null, blob:null };
+function getShareState() {
+    let state = Session.captureShare(),
+        json = JSON.stringify(state);
+    if (json !== shareState.json) {
+        shareState = { json:json, blob:null };
+        Session.encode(state).then(blob => {
+            if (shareState.json !== json) return;
+            shareState.blob = blob;
+            addPhonesToUrl();
+        });
+    }
+    return shareState.blob;
+}
 function addPhonesToUrl() {
     let title = baseTitle,
         url = baseURL,
@@ -1370,10 +1432,16 @@ function addPhonesToUrl() {
     } else {
         targetWindow.document.querySelector("link[rel='canonical']").setAttribute("href",baseURL)
     }
+    let state = names.length && getShareState();
+    if (state) {
+        url += "&state=" + state;
+    }
     targetWindow.history.replaceState("", title, url);
     targetWindow.document.title = title;
     targetWindow.document.querySelector("meta[name='description']").setAttribute("content",baseDescription + ", including " + namesCombined +".");
 }
+// View changes which do not redraw paths, like zoom and baseline, reach the url here
+Session.onSave(() => { if (ifURL) addPhonesToUrl(); });
 function updatePaths(trigger) {
     clearLabels();
     let c = d3.merge(activePhones.map(p => p.activeCurves)),
@@ -1407,6 +1475,7 @@ function updatePaths(trigger) {
     if (stickyLabels && !(typeof InteractiveEQ !== 'undefined' && InteractiveEQ.isEnabled())) drawLabels();
     // Update interactive EQ handles when graph changes
     if (window.updateEQHandles) window.updateEQHandles();
+    Session.autosave();
 }
 let colorBar = p=>'url(\'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 5 8"><path d="M0 8v-8h1c0.05 1.5,-0.3 3,-0.16 5s0.1 2,0.15 3z" fill="'+getBgColor(p)+'"/></svg>\')';
 function updatePhoneTable() {
@@ -1475,6 +1544,7 @@ function updatePhoneTable() {
             clearLabels();
             drawLabels();
         }
+        Session.autosave();
     }
     td().attr("class","button hideIcon")
         .html("<svg viewBox='-2.5 0 19 12'><use xlink:href='#hide-icon'></use></svg>")
@@ -2031,13 +2101,8 @@ function colorPhones() {
     t.append("svg").call(addKey);
 }
 
-let f_values = (function() {
-    // Standard frequencies, all phone need to interpolate to this
-    let f = [20];
-    let step = Math.pow(2, 1/48); // 1/48 octave
-    while (f[f.length-1] < 20000) { f.push(f[f.length-1] * step) }
-    return f;
-})();
+// Standard frequencies, all phone need to interpolate to this
+let f_values = GraphCore.f_values;
 let fr_to_ind = fr => d3.bisect(f_values, fr, 0, f_values.length-1);
 function range_to_slice(xs, fn) {
     let r = xs.map(v => d3.bisectLeft(f_values, x.invert(fn(v))));
@@ -2077,6 +2142,7 @@ function setNorm(_, i, change) {
     if (baseline.p) { baseline = getBaseline(baseline.p); }
     updateYCenter();
     updatePaths();
+    commitStep();
 }
 norms.select("input")
     .on("change input",setNorm)
@@ -2202,6 +2268,8 @@ function showPhone(p, exclusive, suppressVariant, trigger) {
     if (extraEnabled && extraEQEnabled) {
         updateEQPhoneSelect();
     }
+    // EQ curves follow their phone and the filters
+    if (!p.eqParent) commitStep();
 }
 
 function removeCopies(p) {
@@ -2230,6 +2298,7 @@ function removePhone(p) {
     if (extraEnabled && extraEQEnabled) {
         updateEQPhoneSelect();
     }
+    if (!p.eqParent) commitStep();
 }
 
 function asPhoneObj(b, p, isInit, inits) {
@@ -2282,12 +2351,218 @@ function asPhoneObj(b, p, isInit, inits) {
     return r;
 }
 
+// Show the preference adjustment values in their inputs
+function updateDispVals() {
+    doc.select("#cusdf-bass").node().value = boost;
+    doc.select("#cusdf-tilt").node().value = tilt;
+    doc.select("#cusdf-halftilt").node().value = halftilt;
+    doc.select("#cusdf-air").node().value = air;
+    doc.select("#cusdf-ear").node().value = ear;
+    doc.select("#cusdf-treb").node().value = treble;
+    doc.select("#bass-freq-label").text("Bass (" + bassFreq + "Hz)");
+}
+
+// Add a phone which is not in the phone book, replacing the one with the same name
+function addOrUpdatePhone(brand, phone, ch) {
+    let phoneObj = asPhoneObj(brand, phone);
+    phoneObj.rawChannels = ch;
+    phoneObj.isDynamic = true;
+    let phoneObjs = brand.phoneObjs;
+    let oldPhoneObj = phoneObjs.filter(p => p.phone == phone.name)[0]
+    if (oldPhoneObj) {
+        oldPhoneObj.active && removePhone(oldPhoneObj);
+        phoneObj.id = oldPhoneObj.id;
+        phoneObjs[phoneObjs.indexOf(oldPhoneObj)] = phoneObj;
+        allPhones[allPhones.indexOf(oldPhoneObj)] = phoneObj;
+    } else {
+        brand.phones.push(phone);
+        phoneObjs.push(phoneObj);
+        allPhones.push(phoneObj);
+    }
+    updatePhoneSelect();
+    return phoneObj;
+}
+
+// Session: active curves with their settings and the view, restored before extensions
+let sessionPhones = () => activePhones.filter(p =>
+    !p.isPrefBounds && !p.is90Bounds && !p.isSpread && !p.eqParent);
+function captureGraphSession() {
+    return {
+        phones: sessionPhones().map(p => ({
+            brand: p.brand.name,
+            fileName: p.fileName,
+            dispName: p.dispName,
+            isTarget: p.isTarget || false,
+            channels: p.isDynamic ? (p.preComp || p.rawChannels) : undefined, // Uploaded curves
+            id: p.id,
+            offset: p.offset,
+            hexColor: p.hexColor,
+            dashStyle: p.dashStyle,
+            hide: p.hide || false,
+            avg: p.avg,
+            lr: p.lr,
+            ssamp: p.ssamp,
+            comp: p.comp
+        })),
+        baseline: baseline.p ? baseline.p.fileName : null,
+        norm: { sel: norm_sel, fr: norm_fr, phon: norm_phon },
+        preference: { boost, tilt, halftilt, ear, treble, air, bassFreq },
+        smooth: smooth_level,
+        yScale: { y: dB.y, h: dB.h, button: doc.select("#yscalebtn").attr("class") },
+        zoom: selectedRange
+    };
+}
+function sessionPhoneObj(s, used) {
+    // Phone object for a saved phone, a variant of a model already in use becomes a copy
+    if (s.channels) {
+        if (s.isTarget) {
+            return { isTarget:true, brand:brandTarget, dispName:s.dispName, phone:s.dispName,
+                     fullName:s.fileName, fileName:s.fileName, rawChannels:s.channels,
+                     isDynamic:true, id:s.id };
+        }
+        return addOrUpdatePhone(brandMap.Uploaded, { name: s.dispName }, s.channels);
+    }
+    if (s.isTarget) {
+        return brandTarget.phoneObjs.find(t => t.fileName === s.fileName && t.phone !== "Custom Tilt");
+    }
+    let b = brandMap[s.brand],
+        p = b && b.phoneObjs.find(p => p.fileName === s.fileName
+                                     || (p.fileNames && p.fileNames.includes(s.fileName)));
+    if (p && p.fileName === s.fileName && !used.has(p)) {
+        used.add(p);
+        return p;
+    }
+    if (!p || !p.fileNames) return null;
+    let dispName = p.dispNames[p.fileNames.indexOf(s.fileName)];
+    if (!used.has(p)) {
+        used.add(p);
+        p.vars[p.fileName] = p.rawChannels;
+        Object.assign(p, { fileName:s.fileName, dispName:dispName,
+                           rawChannels:p.vars[s.fileName], smooth:undefined });
+        return p;
+    }
+    let c = { copyOf:p, fileName:s.fileName, dispName:dispName };
+    if (!p.objs) { p.objs = [p]; }
+    p.objs.push(c);
+    ["brand","dispBrand","fileNames","vars"].map(k=>c[k]=p[k]);
+    return c;
+}
+async function restoreGraphSession(state) {
+    // View settings first, phones are normalized and tilted when shown
+    setBaseline(baseline0, 1);
+    activePhones.slice().forEach(p => p.copyOf ? removePhone(p) : removeCopies(p));
+    norm_sel = state.norm.sel; norm_fr = state.norm.fr; norm_phon = state.norm.phon;
+    norms.classed("selected", (_,i)=>i===norm_sel)
+        .select("input").property("value", (_,i) => i ? norm_fr : norm_phon);
+    updateYCenter();
+    ({ boost, tilt, halftilt, ear, treble, air, bassFreq } = state.preference);
+    updateDispVals();
+    doc.select("#smooth-level").property("value", state.smooth).dispatch("change");
+
+    // Targets are shown first and in reverse, like showPhone puts them in front
+    let used = new Set(),
+        saved = state.phones.filter(s => s.isTarget).reverse()
+            .concat(state.phones.filter(s => !s.isTarget)),
+        phones = saved.map(s => [s, sessionPhoneObj(s, used)]).filter(([s, p]) => p);
+    await Promise.all(phones.map(([s, p]) => p.rawChannels ||
+        new Promise(resolve => loadFiles(p, ch => { p.rawChannels = ch; resolve(); }, resolve))));
+    phones = phones.filter(([s, p]) => p.rawChannels);
+    phones.forEach(([s, p]) => {
+        if (!p.isTarget && s.id !== undefined) {
+            p.id = s.id;
+            phoneNumber = Math.max(phoneNumber, s.id + 1); nextPN = null;
+        }
+        p.ssamp = s.ssamp;
+        showPhone(p, false, true);
+    });
+    phones.forEach(([s, p]) => {
+        // A tilted target is replaced by its Custom Tilt phone
+        if (p.isTarget) { p = activePhones.find(q => q.isTarget && q.fileName === s.fileName); }
+        if (!p || !p.active) return;
+        let row = table.selectAll("tr").filter(q=>q===p);
+        Object.assign(p, { offset:s.offset || 0, hexColor:s.hexColor, dashStyle:s.dashStyle });
+        row.select("td.levels input").property("value", p.offset);
+        if (!p.isTarget) {
+            setCurves(p, s.avg, s.lr);
+            if (s.comp && s.comp !== "<no comp>") {
+                handleComp(p, s.comp);
+                row.select("td.comp select").property("value", s.comp);
+            }
+        }
+        if (s.hide && !p.hide) { row.select(".hideIcon").dispatch("click"); }
+    });
+
+    let b = state.baseline && activePhones.find(p => p.fileName === state.baseline && !p.eqParent);
+    if (b) { setBaseline(getBaseline(b)); }
+    let ys = state.yScale;
+    if (ys) {
+        updateYScaling(ys.h/15*dB.H, ys.y);
+        doc.select("#yscalebtn").attr("class", ys.button)
+            .text(ys.button === "crin" ? "Crin" : ys.button.replace("db", "dB"));
+    }
+    if (state.zoom !== selectedRange) {
+        let i = state.zoom === 3 ? selectedRange : state.zoom;
+        rangeSel.filter((_,j)=>j===i).dispatch("click");
+    }
+    colorPhones();
+}
+// Uploaded targets are shared at 1/24 octave in 0.1 dB steps, each value as the change from
+// the previous one so the blob compresses well
+let encodeCurve = c => c.filter((_,i) => i%2 === 0)
+    .map(d => Math.round(d[1]*10))
+    .map((v,i,a) => i ? v-a[i-1] : v);
+let decodeCurve = deltas => {
+    let v = 0;
+    return Equalizer.interp(f_values, deltas.map((d,i) => [f_values[i*2], (v+=d)/10]));
+};
+function captureGraphShare() {
+    // Phones are in the share list, only their settings and the view are kept here
+    let round = v => Math.round(v*100)/100,
+        phones = sessionPhones(),
+        offsets = {};
+    phones.filter(p => p.offset).forEach(p => offsets[p.fileName] = p.offset);
+    return {
+        n: [norm_sel, norm_fr, norm_phon],
+        s: smooth_level,
+        z: selectedRange,
+        y: [round(dB.y), round(dB.h), doc.select("#yscalebtn").attr("class")],
+        b: baseline.p ? baseline.p.fileName : undefined,
+        o: offsets,
+        t: phones.filter(p => p.isDynamic && p.isTarget)
+            .map(p => [p.dispName, p.fileName, encodeCurve(p.rawChannels[0])])
+    };
+}
+function restoreGraphShare(share, context) {
+    // Expand to a session state, preference adjustments come from the link's tilt parameters
+    let offset = f => share.o[f] || 0,
+        phones = (context.names || []).map(f => {
+            let p = brandTarget.phoneObjs.find(t => t.fileName === f)
+                 || allPhones.find(p => p.fileName === f || (p.fileNames && p.fileNames.includes(f)));
+            return p && { brand:p.brand.name, fileName:f, isTarget:p.isTarget || false, offset:offset(f) };
+        }).filter(p => p);
+    share.t.forEach(([dispName, fileName, curve]) => phones.push({ brand:brandTarget.name,
+        fileName:fileName, dispName:dispName, isTarget:true, channels:[decodeCurve(curve)],
+        offset:offset(fileName) }));
+    return restoreGraphSession({
+        phones: phones,
+        baseline: share.b || null,
+        norm: { sel:share.n[0], fr:share.n[1], phon:share.n[2] },
+        preference: { boost, tilt, halftilt, ear, treble, air, bassFreq },
+        smooth: share.s,
+        yScale: { y:share.y[0], h:share.y[1], button:share.y[2] },
+        zoom: share.z
+    });
+}
+Session.register("graph", { capture: captureGraphSession, restore: restoreGraphSession,
+                            captureShare: captureGraphShare, restoreShare: restoreGraphShare });
+
 d3.json(typeof PHONE_BOOK !== "undefined" ? PHONE_BOOK
             : DIR+"phone_book.json?"+ new Date().getTime()).then(function (brands) {
     let brandMap = window.brandMap = {},
         inits = [],
         initReq = typeof init_phones !== "undefined" ? init_phones : false;
     loadFromShare = 0;
+    let sharedState = null;
     
     if (ifURL) {
         let url = targetWindow.location.href,
@@ -2301,6 +2576,10 @@ d3.json(typeof PHONE_BOOK !== "undefined" ? PHONE_BOOK
             cDFa = "air=",
             cDFbf = "bassfreq=";
         baseURL = url.split("?").shift();
+        // The state blob is base64url, keep it out of the parsing below
+        let stateMatch = url.match(/[?&]state=([A-Za-z0-9_-]+)/);
+        sharedState = stateMatch && stateMatch[1];
+        url = url.replace(/&state=[A-Za-z0-9_-]*/, "");
         let match = decodeURIComponent(url.replace(/_/g," ")).match(/share=([^&]+)/);
         let str = match && match[1] ? match[1].replace("share=", "") : null;
         let cTiltParams = decodeURIComponent(url.replace(/_/g," ")).match(/bass=([^&]+)&tilt=([^&]+)(?:&halftilt=([^&]+))?&treble=([^&]+)&ear=([^&]+)(?:&air=([^&]+))?(?:&bassfreq=([^&]+))?/);
@@ -2432,8 +2711,23 @@ d3.json(typeof PHONE_BOOK !== "undefined" ? PHONE_BOOK
     }
 
     if (!df) df = window.brandTarget.phoneObjs.find(p => p.dispName === customTiltName);
-    inits.map(p => p.copyOf ? showVariant(p.copyOf, p, initMode)
-                            : showPhone(p,0,1, initMode));
+    // Shared links show their phones without touching the saved session, otherwise the last
+    // session replaces the config's
+    let showInits = () => inits.map(p => p.copyOf ? showVariant(p.copyOf, p, initMode)
+                                                  : showPhone(p,0,1, initMode));
+    if (loadFromShare && sharedState) {
+        // Links with a state blob restore it, older links only have phones and tilt parameters
+        Session.decode(sharedState)
+            .then(share => Session.restoreShare(share, { names: initReq }))
+            .catch(e => { console.error("Share state could not be restored", e); showInits(); })
+            .then(() => Session.start(false, false))
+            .then(UndoHistory.reset);
+    } else if (loadFromShare) {
+        showInits();
+        Session.start(false, false);
+    } else {
+        Session.start(true).then(restored => restored ? UndoHistory.reset() : showInits());
+    }
     
     // band-aid
     loadFiles(df, function (ch) {
@@ -2448,15 +2742,6 @@ d3.json(typeof PHONE_BOOK !== "undefined" ? PHONE_BOOK
     checkUserDefaultScale();
 
     // -------------------- Custom DF Tilt -------------------- //
-    function updateDispVals() {
-        doc.select("#cusdf-bass").node().value = boost;
-        doc.select("#cusdf-tilt").node().value = tilt;
-        doc.select("#cusdf-halftilt").node().value = halftilt;
-        doc.select("#cusdf-air").node().value = air;
-        doc.select("#cusdf-ear").node().value = ear;
-        doc.select("#cusdf-treb").node().value = treble;
-        doc.select("#bass-freq-label").text("Bass (" + bassFreq + "Hz)");
-    }
     updateDispVals();
 
     // Advanced Adjustments toggle with localStorage
@@ -2571,6 +2856,7 @@ d3.json(typeof PHONE_BOOK !== "undefined" ? PHONE_BOOK
 
         // Update EQ handles when baseline changes
         if (window.updateEQHandles) window.updateEQHandles();
+        commitStep();
 
         // focus cusdf inputs
         if (change === "bass") {
@@ -3024,6 +3310,49 @@ function mapDownloadFaux() {
 }
 mapDownloadFaux();
 
+// Session file buttons
+function sessionFilesInit() {
+    let fileSession = document.querySelector("#file-session");
+    document.querySelector("button#session-save").addEventListener("click", function() {
+        let date = new Date().toISOString().slice(0, 10);
+        Session.download(baseTitle.replace(/[\\/:*?"<>|]/g, "") + " Session " + date + ".json");
+    });
+    document.querySelector("button#session-open").addEventListener("click", function() {
+        fileSession.click();
+    });
+    fileSession.addEventListener("change", function() {
+        let file = this.files[0];
+        this.value = "";
+        if (file) {
+            Session.open(file).catch(e => alert("Open session failed: " + e.message));
+        }
+    });
+}
+sessionFilesInit();
+
+function historyInit() {
+    let undoButton = document.querySelector("button#undo"),
+        redoButton = document.querySelector("button#redo");
+    UndoHistory.init({ session: Session, onChange: () => {
+        undoButton.disabled = !UndoHistory.canUndo();
+        redoButton.disabled = !UndoHistory.canRedo();
+    } });
+    undoButton.addEventListener("click", UndoHistory.undo);
+    redoButton.addEventListener("click", UndoHistory.redo);
+    document.addEventListener("keydown", function(e) {
+        let t = e.target,
+            key = (e.key || "").toLowerCase();
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || (key !== "z" && key !== "y")) return;
+        // Fields keep their own undo
+        if (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName)) return;
+        e.preventDefault();
+        if (key === "y" || e.shiftKey) { UndoHistory.redo(); } else { UndoHistory.undo(); }
+    });
+    // A changed field is one step, however many input events it took
+    document.addEventListener("change", UndoHistory.commit, true);
+}
+historyInit();
+
 // Set focused scroll list
 function setFocusedList(selectedList) {
     let listsContainer = document.querySelector("div.select");
@@ -3282,25 +3611,6 @@ function addExtra() {
         fileAudio.click();
     });
 
-    let addOrUpdatePhone = (brand, phone, ch) => {
-        let phoneObj = asPhoneObj(brand, phone);
-        phoneObj.rawChannels = ch;
-        phoneObj.isDynamic = true;
-        let phoneObjs = brand.phoneObjs;
-        let oldPhoneObj = phoneObjs.filter(p => p.phone == phone.name)[0]
-        if (oldPhoneObj) {
-            oldPhoneObj.active && removePhone(oldPhoneObj);
-            phoneObj.id = oldPhoneObj.id;
-            phoneObjs[phoneObjs.indexOf(oldPhoneObj)] = phoneObj;
-            allPhones[allPhones.indexOf(oldPhoneObj)] = phoneObj;
-        } else {
-            brand.phones.push(phone);
-            phoneObjs.push(phoneObj);
-            allPhones.push(phoneObj);
-        }
-        updatePhoneSelect();
-        return phoneObj;
-    };
     fileFR.addEventListener("change", (e) => {
         let file = e.target.files[0];
         if (!file) {
@@ -3378,6 +3688,33 @@ function addExtra() {
     let filterEnabledInput, filterTypeSelect,
         filterFreqInput, filterQInput, filterGainInput;
     let eqBands = extraEQBands;
+    let sampleRateSelect = document.querySelector("div.extra-eq select[name='sample-rate']");
+    let sampleRateWarning = document.querySelector("div.extra-eq small.sample-rate-warning");
+    let setEQSampleRate = (rate) => {
+        // Curves, AutoEQ, preamp and exports all evaluate filters at Equalizer's default rate
+        rate = parseInt(rate) || 48000;
+        if (!sampleRateSelect.querySelector(`option[value='${rate}']`)) {
+            let option = document.createElement("option");
+            option.value = rate;
+            option.textContent = (rate / 1000) + " kHz";
+            sampleRateSelect.appendChild(option);
+        }
+        sampleRateSelect.value = rate;
+        Equalizer.config.DefaultSampleRate = rate;
+    };
+    let checkSampleRate = (filters) => {
+        // Filters close to nyquist frequency behave differently between DSP implementations
+        let limit = 0.4 * Equalizer.config.DefaultSampleRate;
+        let high = filters.filter(f => !f.disabled && f.freq > limit);
+        sampleRateWarning.textContent = high.length ? ("Filter(s) above " + limit.toFixed(0) +
+            " Hz (0.4·fs): " + high.map(f => f.type + " " + f.freq + "Hz").join(", ")) : "";
+        sampleRateWarning.style.display = high.length ? "block" : "none";
+    };
+    setEQSampleRate(typeof extraEQSampleRate !== "undefined" ? extraEQSampleRate : 48000);
+    sampleRateSelect.addEventListener("input", () => {
+        setEQSampleRate(sampleRateSelect.value);
+        applyEQ();
+    });
     let updateFilterElements = () => {
         let node = filtersContainer.querySelector("div.filter");
         while (filtersContainer.childElementCount < eqBands) {
@@ -3411,7 +3748,7 @@ function addExtra() {
             let freq = parseInt(filterFreqInput[i].value) || 0;
             let q = parseFloat(filterQInput[i].value) || 0;
             let gain = parseFloat(filterGainInput[i].value) || 0;
-            if (!includeAll && (disabled || !type || !freq || !q || !gain)) {
+            if (!includeAll && (disabled || !Equalizer.is_effective({ type, freq, q, gain }))) {
                 continue;
             }
             filters.push({ disabled, type, freq, q, gain });
@@ -3437,12 +3774,70 @@ function addExtra() {
             filterGainInput[i].value = f.gain;
         });
     };
+    // Separate L/R mode keeps one filter set per channel, the edited one lives in the ui
+    let eqChannelModeSelect = document.querySelector("div.extra-eq select[name='eq-channel-mode']");
+    let eqEditChannelSelect = document.querySelector("div.extra-eq select[name='eq-edit-channel']");
+    let channelFilters = [[], []];
+    let isSeparateEQ = () => eqChannelModeSelect.value === "separate";
+    let editChannel = () => parseInt(eqEditChannelSelect.value);
+    let channelSuffix = () => isSeparateEQ() ? " " + ["L", "R"][editChannel()] : "";
+    let getChannelFilters = (includeAll) => {
+        // Filters of [L, R], both are the ui filters in linked mode
+        let current = elemToFilters(includeAll);
+        if (!isSeparateEQ()) {
+            return [current, current];
+        }
+        return [0, 1].map(i => (i === editChannel()) ? current : channelFilters[i].filter(
+            f => includeAll || (!f.disabled && Equalizer.is_effective(f))));
+    };
+    let setChannelFilters = (filters) => {
+        // Set filters of [L, R] and show the edited channel in ui
+        channelFilters = filters.map(fs => fs.map(f => ({ ...f })));
+        filtersToElem(channelFilters[editChannel()]);
+    };
+    let analyzeEQHeadroom = () => {
+        // Channels may have different filters, the one needing most pre-amp decides
+        let filtersLR = getChannelFilters();
+        return (isSeparateEQ() ? filtersLR : [filtersLR[0]])
+            .map((filters, i) => ({ ...Equalizer.analyze_headroom(filters), channel: isSeparateEQ() ? ["L", "R"][i] : null }))
+            .reduce((a, b) => (b.preamp < a.preamp) ? b : a);
+    };
+    let setSeparateEQ = (separate) => {
+        eqChannelModeSelect.value = separate ? "separate" : "linked";
+        eqChannelModeSelect.dispatchEvent(new Event("input"));
+    };
+    eqChannelModeSelect.addEventListener("input", () => {
+        // Both channels start from the filters in ui
+        let filters = elemToFilters(true);
+        channelFilters = [filters, filters.map(f => ({ ...f }))];
+        eqEditChannelSelect.disabled = !isSeparateEQ();
+        applyEQ();
+    });
+    eqEditChannelSelect.addEventListener("input", () => {
+        channelFilters[1 - editChannel()] = elemToFilters(true);
+        filtersToElem(channelFilters[editChannel()]);
+        applyEQ();
+    });
     let applyEQHandle = null;
+    // Preamps, comments and includes of the imported Equalizer APO config, written back on export.
+    // The preamps belong to the filters they came with, see setImportedPreamp
+    let importedAPO = { preamp: null, channelPreamps: [], comments: [], includes: [], filters: null };
+    let setImportedPreamp = (preamp, channelPreamps) => {
+        // Call once the filters are set
+        importedAPO.preamp = (preamp !== undefined) ? preamp : null;
+        importedAPO.channelPreamps = channelPreamps || [];
+        importedAPO.filters = JSON.stringify(getChannelFilters(true));
+    };
+    let hasImportedPreamp = () => importedAPO.preamp !== null || importedAPO.channelPreamps.length > 0;
     let applyEQExec = () => {
         // Create and show phone with eq applied
         let activeElem = document.activeElement;
         let phoneSelected = eqPhoneSelect.value;
-        let filters = elemToFilters();
+        let filtersLR = getChannelFilters();
+        let filters = isSeparateEQ() ? filtersLR[0].concat(filtersLR[1]) : filtersLR[0];
+        checkSampleRate(filters);
+        updatePreampDisplay();
+        if (typeof PhaseGraph !== 'undefined') PhaseGraph.update();
         if (filters.length && !phoneSelected) {
             let firstPhone = eqPhoneSelect.querySelectorAll("option")[1];
             if (firstPhone) {
@@ -3457,23 +3852,32 @@ function addExtra() {
         // Preserve existing EQ variant offset, or inherit from parent if new
         let existingEQOffset = phoneObj.eq ? phoneObj.eq.offset : null;
         let phoneEQ = { name: phoneObj.dispName + " EQ" };
-        let phoneObjEQ = addOrUpdatePhone(phoneObj.brand, phoneEQ,
-            phoneObj.rawChannels.map(c => c ? Equalizer.apply(c, filters) : null));
+        let sides = channelSides(phoneObj);
+        let phoneObjEQ = addOrUpdatePhone(phoneObj.brand, phoneEQ, phoneObj.rawChannels.map((c, i) =>
+            c ? Equalizer.apply(c, filtersLR[sides[i]]) : null));
         phoneObj.eq = phoneObjEQ;
         phoneObjEQ.eqParent = phoneObj;
         // Set offset: use existing EQ offset if available, otherwise inherit from parent
         phoneObjEQ.offset = existingEQOffset !== null ? existingEQOffset : (phoneObj.offset || 0);
-        updatePreampDisplay();
         showPhone(phoneObjEQ, false);
+        if (isSeparateEQ()) {
+            // Show both EQ'd channels instead of their average
+            updateCurves(phoneObjEQ, false);
+        }
         activeElem.focus({ preventScroll: true });
         // Update interactive EQ handles if enabled
         if (window.updateEQHandles) window.updateEQHandles();
     };
     let applyEQ = () => {
+        if (hasImportedPreamp() && JSON.stringify(getChannelFilters(true)) !== importedAPO.filters) {
+            // Filters were changed, the imported preamps no longer apply
+            setImportedPreamp(null);
+        }
         clearTimeout(applyEQHandle);
         applyEQHandle = setTimeout(applyEQExec, 100);
         updateFilters(elemToFilters());
         document.dispatchEvent(new CustomEvent('UpdateExtensionFilters', { detail: { filters: elemToFilters() } }));
+        Session.autosave();
     };
     window.applyEQ = applyEQ;
     window.elemToFilters = elemToFilters;
@@ -3481,7 +3885,7 @@ function addExtra() {
     window.updateEQPhoneSelect = () => {
         let oldValue = eqPhoneSelect.value;
         let eligiblePhones = activePhones.filter(p =>
-            !p.isPrefBounds && !p.isTarget && !p.dispName.match(/ EQ$/));
+            !p.isPrefBounds && !p.isTarget && !p.eqProfile && !p.dispName.match(/ EQ$/));
         let optionValues = eligiblePhones.map(p => p.brand.name + " " + p.dispName);
         Array.from(eqPhoneSelect.children).slice(1).forEach(c => eqPhoneSelect.removeChild(c));
         optionValues.forEach(value => {
@@ -3503,6 +3907,7 @@ function addExtra() {
             // Reset guard after applyEQ's debounced execution completes
             setTimeout(() => { autoApplyingEQ = false; }, 150);
         }
+        renderEQProfiles();
     };
     updateFilterElements();
     updatePreampDisplay();  // Add this line
@@ -3568,78 +3973,295 @@ function addExtra() {
         showPhone(phoneObjEQ, false);
         savedCounter++;
     });
+    // Named profiles per phone, kept in localStorage. Two of them can be put in the A/B slots to
+    // switch the EQ curve and the audio between, and any of them overlaid on the graph
+    let eqProfileName = document.querySelector("div.extra-eq input[name='eq-profile-name']");
+    let eqProfileList = document.querySelector("div.extra-eq div.eq-profile-list");
+    let eqABButtons = document.querySelectorAll("div.extra-eq button.eq-ab-slot");
+    let eqProfiles = {};    // { [phone]: [{ name, time, separate, channels: [L, R], preamp }] }
+    try {
+        eqProfiles = JSON.parse(localStorage.getItem("eq-profiles")) || {};
+    } catch (e) {
+        eqProfiles = {};
+    }
+    let eqSlots = [null, null],     // Profile names in slots A and B
+        eqActiveSlot = null,
+        eqProfilesPhone = null,     // Phone the slots belong to
+        eqSavedState = null;        // eqProfileState() when a profile was last loaded or saved
+    let saveEQProfiles = () => {
+        // The profiles stay in memory when storage is full, but are lost with the page
+        try {
+            localStorage.setItem("eq-profiles", JSON.stringify(eqProfiles));
+        } catch (e) {
+            alert("EQ profiles could not be stored: " + e.message);
+        }
+    };
+    let eqProfileState = () => JSON.stringify({ separate: isSeparateEQ(), channels: getChannelFilters(true) });
+    let confirmReplaceEQ = (profile) => {
+        // Edits since the last profile load or save are lost when another profile is loaded
+        let filtersLR = getChannelFilters();
+        return !(filtersLR[0].length || filtersLR[1].length) || eqProfileState() === eqSavedState ||
+            confirm(`The EQ has unsaved changes. Discard them and load "${profile.name}"?`);
+    };
+    let phoneEQProfiles = () => eqProfiles[eqPhoneSelect.value] || [];
+    let effectiveFilters = filters => filters.filter(f => !f.disabled && Equalizer.is_effective(f));
+    let getEQOverlay = (parent, name) => activePhones.find(p => p.eqParent === parent && p.eqProfile === name);
+    let showEQOverlay = (parent, profile) => {
+        let sides = channelSides(parent);
+        let overlay = addOrUpdatePhone(parent.brand, { name: parent.dispName + " EQ " + profile.name },
+            parent.rawChannels.map((c, i) => c ? Equalizer.apply(c,
+                effectiveFilters(profile.channels[sides[i]])) : null));
+        overlay.eqParent = parent;
+        overlay.eqProfile = profile.name;
+        overlay.offset = parent.offset || 0;
+        showPhone(overlay, false);
+    };
+    let removeEQOverlay = (parent, name) => {
+        let overlay = parent && getEQOverlay(parent, name);
+        if (overlay) removePhone(overlay);
+    };
+    let loadEQProfile = (profile) => {
+        // False when the user keeps the unsaved filters
+        if (!confirmReplaceEQ(profile)) return false;
+        eqChannelModeSelect.value = profile.separate ? "separate" : "linked";
+        eqEditChannelSelect.disabled = !profile.separate;
+        setChannelFilters(profile.channels);
+        setImportedPreamp(profile.preamp, profile.channelPreamps);
+        eqProfileName.value = profile.name;
+        applyEQ();
+        // Drawn now instead of debounced, so switching slots is instant
+        clearTimeout(applyEQHandle);
+        applyEQExec();
+        eqSavedState = eqProfileState();
+        return true;
+    };
+    let selectEQSlot = (slot) => {
+        let profile = phoneEQProfiles().find(p => p.name === eqSlots[slot]);
+        if (profile && loadEQProfile(profile)) eqActiveSlot = slot;
+        renderEQProfiles();
+    };
+    let renderEQProfiles = () => {
+        let parent = getEQParent(),
+            profiles = phoneEQProfiles();
+        if (eqProfilesPhone !== eqPhoneSelect.value) {
+            eqProfilesPhone = eqPhoneSelect.value;
+            eqSlots = [null, null];
+            eqActiveSlot = null;
+        }
+        eqProfileList.innerHTML = "";
+        profiles.forEach((profile, i) => {
+            let row = document.createElement("div");
+            row.className = "eq-profile-row";
+            row.innerHTML = '<input type="checkbox" name="overlay" title="Overlay on graph">' +
+                '<input type="text" name="profile-name" spellcheck="false"><span class="count"></span>' +
+                '<button class="slot">A</button><button class="slot">B</button>' +
+                '<button class="load">Load</button><button class="remove">×</button>';
+            let overlayInput = row.querySelector("input[name='overlay']"),
+                nameInput = row.querySelector("input[name='profile-name']");
+            overlayInput.checked = !!(parent && getEQOverlay(parent, profile.name));
+            overlayInput.disabled = !parent;
+            nameInput.value = profile.name;
+            nameInput.title = new Date(profile.time).toLocaleString();
+            row.querySelector(".count").textContent = (profile.separate ?
+                profile.channels.map(fs => effectiveFilters(fs).length).join("/") :
+                effectiveFilters(profile.channels[0]).length) + " bands";
+            overlayInput.addEventListener("change", () => {
+                if (overlayInput.checked) {
+                    showEQOverlay(parent, profile);
+                } else {
+                    removeEQOverlay(parent, profile.name);
+                }
+            });
+            nameInput.addEventListener("change", () => {
+                let name = nameInput.value.trim();
+                if (!name || profiles.some(p => p !== profile && p.name === name)) {
+                    nameInput.value = profile.name;
+                    return;
+                }
+                let overlaid = parent && getEQOverlay(parent, profile.name);
+                removeEQOverlay(parent, profile.name);
+                eqSlots = eqSlots.map(s => s === profile.name ? name : s);
+                profile.name = name;
+                saveEQProfiles();
+                if (overlaid) showEQOverlay(parent, profile);
+                renderEQProfiles();
+            });
+            row.querySelectorAll(".slot").forEach((button, slot) => {
+                button.title = "Put in slot " + ["A", "B"][slot];
+                button.classList.toggle("selected", eqSlots[slot] === profile.name);
+                button.addEventListener("click", () => {
+                    eqSlots[slot] = profile.name;
+                    selectEQSlot(slot);
+                });
+            });
+            row.querySelector(".load").addEventListener("click", () => {
+                if (!loadEQProfile(profile)) return;
+                eqActiveSlot = null;
+                renderEQProfiles();
+            });
+            row.querySelector(".remove").addEventListener("click", () => {
+                removeEQOverlay(parent, profile.name);
+                profiles.splice(i, 1);
+                if (!profiles.length) delete eqProfiles[eqPhoneSelect.value];
+                eqSlots = eqSlots.map(s => s === profile.name ? null : s);
+                saveEQProfiles();
+                renderEQProfiles();
+            });
+            eqProfileList.appendChild(row);
+        });
+        if (eqActiveSlot !== null && !eqSlots[eqActiveSlot]) eqActiveSlot = null;
+        eqABButtons.forEach((button, slot) => {
+            button.textContent = ["A", "B"][slot] + (eqSlots[slot] ? ": " + eqSlots[slot] : "");
+            button.disabled = !eqSlots[slot];
+            button.classList.toggle("selected", slot === eqActiveSlot);
+        });
+    };
+    eqABButtons.forEach((button, slot) => button.addEventListener("click", () => selectEQSlot(slot)));
+    eqPhoneSelect.addEventListener("input", renderEQProfiles);
+    document.querySelector("div.extra-eq button.eq-profile-save").addEventListener("click", () => {
+        let parent = getEQParent();
+        if (!parent) {
+            alert("Please select model before saving a profile.");
+            return;
+        }
+        let profiles = eqProfiles[eqPhoneSelect.value] = phoneEQProfiles();
+        let name = eqProfileName.value.trim();
+        for (let n = profiles.length + 1; !name; n++) {
+            if (!profiles.some(p => p.name === "Profile " + n)) name = "Profile " + n;
+        }
+        let profile = { name, time: Date.now(), separate: isSeparateEQ(),
+            channels: getChannelFilters(true), preamp: importedAPO.preamp,
+            channelPreamps: importedAPO.channelPreamps };
+        // Saving under an existing name updates that profile
+        let i = profiles.findIndex(p => p.name === name);
+        if (i < 0) {
+            profiles.push(profile);
+        } else {
+            profiles[i] = profile;
+        }
+        saveEQProfiles();
+        eqSavedState = eqProfileState();
+        eqProfileName.value = name;
+        if (getEQOverlay(parent, name)) showEQOverlay(parent, profile);
+        renderEQProfiles();
+    });
     // Import filters
-    document.querySelector("div.extra-eq button.import-filters").addEventListener("click", () => {
+    let importFiltersButton = document.querySelector("div.extra-eq button.import-filters");
+    importFiltersButton.addEventListener("click", () => {
         fileFiltersImport.click();
     });
+    if (typeof PresetImport !== 'undefined') {
+        PresetImport.init({ Equalizer });
+    } else {
+        importFiltersButton.style.display = "none";
+    }
     fileFiltersImport.addEventListener("change", (e) => {
-        // Import filters callback
-        let file = e.target.files[0];
-        if (!file) {
+        // Import filters callback, several files are chained, e.g. a .tmreq and its .tmeq
+        let files = Array.from(e.target.files);
+        if (!files.length) {
             return;
         }
-        let reader = new FileReader();
-        reader.onload = (e) => {
-            let settings = e.target.result;
-            let filters = settings.split("\n").map(l => {
-                let r = l.match(/Filter\s*\d+:\s*(\S+)\s*(\S+)\s*Fc\s*(\S+)\s*Hz\s*Gain\s*(\S+)\s*dB(\s*Q\s*(\S+))?/);
-                if (!r) { return undefined; }
-                let disabled = (r[1] !== "ON");
-                let type = r[2];
-                let freq = parseInt(r[3]) || 0;
-                let gain = parseFloat(r[4]) || 0;
-                let q = parseFloat(r[6]) || 0;
-                if (type === "LS" || type === "HS") {
-                    type += "Q";
-                    q = q || 0.707;
-                } else if (type === "LSC" || type === "HSC") {
-                    // Equalizer APO use LSC/HSC instead of LSQ/HSQ
-                    type = type.substr(0, 2) + "Q";
+        // Room EQ before PEQ, the order TotalMix applies them
+        files.sort((a, b) => /\.tmeq$/i.test(a.name) - /\.tmeq$/i.test(b.name));
+        Promise.all(files.map(file => new Promise((resolve, reject) => {
+            let reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        }))).then(texts => {
+            let settings = texts.join("\n");
+            let sampleRate = settings.match(/^#\s*Sample rate:\s*(\d+)/m);
+            if (sampleRate) {
+                setEQSampleRate(sampleRate[1]);
+            }
+            let mask = settings.split("\n").map(l => {
+                let r = l.match(/^#\s*AutoEQ mask:\s*(\S+)\s*-\s*(\S+)\s*Hz\s*Weight\s*(\S+)\s*Tolerance\s*(\S+)\s*dB/i);
+                return r && { from: parseFloat(r[1]), to: parseFloat(r[2]),
+                    weight: parseFloat(r[3]), tolerance: parseFloat(r[4]) };
+            }).filter(r => r);
+            if (mask.length) {
+                setAutoEQMask(mask);
+            }
+            let preset;
+            try {
+                preset = PresetImport.combine(texts.map((text, i) => PresetImport.parse(text, files[i].name)));
+            } catch (error) {
+                alert("Parse filters file failed: " + error.message);
+                return;
+            }
+            importedAPO = { preamp: null, channelPreamps: [], comments: preset.comments, includes: preset.includes,
+                filters: null };
+            let setFilters = (filters) => {
+                if (!filters.length) {
+                    alert("Parse filters file failed: no filter found.");
+                    return;
                 }
-                return { disabled, type, freq, q, gain };
-            }).filter(f => f);
-            while (filters.length > 0) {
-                // Remove empty tail filters
-                let lastFilter = filters[filters.length-1];
-                if (!lastFilter.freq && !lastFilter.q && !lastFilter.gain) {
-                    filters.pop(); 
+                if (preset.channels) {
+                    // Channels differ, keep them apart
+                    setSeparateEQ(true);
+                    setChannelFilters(preset.channels);
                 } else {
-                    break;
+                    filtersToElem(filters);
                 }
-            }
-            if (filters.length > 0) {
-                filtersToElem(filters);
+                setImportedPreamp(preset.preamp, preset.channelPreamps);
                 applyEQ();
+                UndoHistory.commit();
+                if (preset.warnings.length) {
+                    alert(preset.format + " preset imported with warnings:\n" + preset.warnings.join("\n"));
+                }
+            };
+            if (preset.filters) {
+                setFilters(preset.filters);
+            } else if (preset.graphicEQ && preset.graphicEQ.length) {
+                // Graphic only presets are fit to parametric filters, which takes a while
+                let autoEQOverlay = document.querySelector(".extra-eq-overlay");
+                autoEQOverlay.style.display = "block";
+                setTimeout(() => {
+                    try {
+                        let fit = PresetImport.fitGraphicEQ(preset.graphicEQ, eqBands);
+                        preset.warnings.push("Graphic EQ fit to " + fit.filters.length + " filters differs by up to " +
+                            fit.error.max.toFixed(2) + " dB (RMS " + fit.error.rms.toFixed(2) + " dB)");
+                        setFilters(fit.filters);
+                    } finally {
+                        autoEQOverlay.style.display = "none";
+                    }
+                }, 100);
             } else {
                 alert("Parse filters file failed: no filter found.");
             }
-        };
-        reader.readAsText(file);
+        }).catch(error => {
+            alert("Read filters file failed: " + error.message);
+        }).finally(() => {
+            // Allow loading the same file again
+            fileFiltersImport.value = "";
+        });
     });
     // Export filters
     document.querySelector("div.extra-eq button.export-filters").addEventListener("click", () => {
         let phoneSelected = eqPhoneSelect.value;
         let phoneObj = phoneSelected && activePhones.filter(
             p => !p.isPrefBounds && p.brand.name + " " + p.dispName == phoneSelected && p.eq)[0];
-        let filters = elemToFilters(true);
-        if (!phoneObj || !filters.length) {
+        let filtersLR = getChannelFilters(true);
+        if (!phoneObj || !filtersLR[0].length) {
             alert("Please select model and add at least one filter before exporting.");
             return;
         }
-        let preamp = Equalizer.calc_preamp(
-            phoneObj.rawChannels.filter(c => c)[0],
-            phoneObj.eq.rawChannels.filter(c => c)[0]);
-        let settings = "Preamp: " + preamp.toFixed(1) + " dB\r\n";
-        filters.forEach((f, i) => {
-            let on = (!f.disabled && f.type && f.freq && f.gain && f.q) ? "ON" : "OFF";
-            let type = f.type;
-            if (type === "LSQ" || type === "HSQ") {
-                // Equalizer APO use LSC/HSC instead of LSQ/HSQ
-                type = type.substr(0, 2) + "C";
-            }
-            settings += ("Filter " + (i+1) + ": " + on + " " + type + " Fc " +
-                f.freq.toFixed(0) + " Hz Gain " + f.gain.toFixed(1) + " dB Q " +
-                f.q.toFixed(3) + "\r\n");
+        // Keep extra attenuation of the imported config, but never less than the filters of a side
+        // need. Imported channel preamps are kept, the preamp for all channels makes up the rest
+        let channelPreamps = importedAPO.channelPreamps;
+        let sideGain = side => channelPreamps.filter(p => p.sides.includes(side)).reduce((a, p) => a + p.gain, 0);
+        let effectiveLR = getChannelFilters();
+        let preamp = Math.min(importedAPO.preamp !== null ? importedAPO.preamp : Infinity, ...[0, 1].map(side =>
+            Equalizer.analyze_headroom(effectiveLR[isSeparateEQ() ? side : 0]).preamp - sideGain(side)));
+        let settings = FileExport.apo({
+            header: ["# Sample rate: " + Equalizer.config.DefaultSampleRate + " Hz"].concat(
+                getAutoEQMask().map(r => "# AutoEQ mask: " + r.from.toFixed(0) + "-" + r.to.toFixed(0) +
+                    " Hz Weight " + r.weight + " Tolerance " + r.tolerance + " dB")),
+            preamp,
+            channelPreamps,
+            comments: importedAPO.comments,
+            includes: importedAPO.includes,
+            channels: isSeparateEQ() ? filtersLR : [filtersLR[0]]
         });
         let exportElem = document.querySelector("#file-filters-export");
         exportElem.href && URL.revokeObjectURL(exportElem.href);
@@ -3650,41 +4272,54 @@ function addExtra() {
 
 // TMEQ and TMREQ formats for TotalMix enabled RME Interfaces with RoomEQ support
 
-document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListener("click", () => {
+let exportTotalMix = (bundle) => {
     let phoneSelected = eqPhoneSelect.value;
     let phoneObj = phoneSelected && activePhones.filter(
         p => !p.isPrefBounds && p.brand.name + " " + p.dispName == phoneSelected && p.eq)[0];
-    let filters = elemToFilters(true);
+    // Room EQ has an L and an R section, in separate L/R mode each gets its channel's filters
+    let filtersLR = getChannelFilters(true);
+    let labels = isSeparateEQ() ? [" (L)", " (R)"] : ["", ""];
     
-    if (!phoneObj || !filters.length) {
+    if (!phoneObj || !(filtersLR[0].length || filtersLR[1].length)) {
         alert("Please select model and add at least one filter before exporting.");
         return;
     }
 
     // Filter out any filters with frequency set to 0
-    filters = filters.filter(f => f.freq !== 0);
+    filtersLR = filtersLR.map(filters => filters.filter(f => f.freq !== 0));
+
+    for (let side = 0; side < 2; side++) {
+        // TotalMix Room EQ and PEQ only have peaking and shelving bands
+        let unsupported = filtersLR[side].filter(f => !["PK", "LSQ", "HSQ"].includes(f.type));
+        if (unsupported.length) {
+            alert("TotalMix only supports PK, LSQ and HSQ filters. Unsupported" + labels[side] + ": " +
+                unsupported.map(f => `${f.type} ${f.freq}Hz`).join(", "));
+            return;
+        }
 
-    // Validate filters count
-    if (filters.length > 12) {
-        alert("Maximum 12 filters are supported.");
-        return;
+        // Validate filters count
+        if (filtersLR[side].length > 12) {
+            alert("Maximum 12 filters are supported" + labels[side] + ".");
+            return;
+        }
     }
 
     // Validate constraints for 9-band format
-    const validateMainFilters = (filters) => {
+    const validateMainFilters = (filters, label) => {
         // Count shelving filters
         const shelvingCount = filters.filter(f => f.type === "LSQ" || f.type === "HSQ").length;
         if (shelvingCount > 3) {
-            throw new Error("More than 3 shelving filters detected. Only slots 1, 8, and 9 support shelving filters.");
+            throw new Error("More than 3 shelving filters detected" + label + ". Only slots 1, 8, and 9 support shelving filters.");
         }
 
         // Validate Q and gain ranges
+        const { qRange, gainRange } = DeviceProfiles.get("totalmix");
         filters.forEach((f, i) => {
-            if (f.q < 0.4 || f.q > 9.9) {
-                throw new Error(`Filter ${i + 1} has Q value ${f.q} outside allowed range (0.4 - 9.9)`);
+            if (f.q < qRange[0] || f.q > qRange[1]) {
+                throw new Error(`Filter ${i + 1}${label} has Q value ${f.q} outside allowed range (${qRange[0]} - ${qRange[1]})`);
             }
-            if (f.gain < -20 || f.gain > 20) {
-                throw new Error(`Filter ${i + 1} has gain value ${f.gain} outside allowed range (-20 - 20)`);
+            if (f.gain < gainRange[0] || f.gain > gainRange[1]) {
+                throw new Error(`Filter ${i + 1}${label} has gain value ${f.gain} outside allowed range (${gainRange[0]} - ${gainRange[1]})`);
             }
         });
     };
@@ -3725,14 +4360,11 @@ document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListe
         return organizedFilters;
     };
 
-    // Function to create main 9-band format
-    const create9BandFormat = (filters) => {
+    // Function to create one channel of the 9-band format
+    const createRoomEQChannel = (name, filters) => {
         const organizedFilters = organizeFilters(filters.slice(0, 9));
         
-        let content = "<Preset>\n";
-        
-        // Add left channel
-        content += `\t<Room EQ L>\n\t\t<Params>\n`;
+        let content = `\t<${name}>\n\t\t<Params>\n`;
         content += createParam("REQ Delay", 0);
         
         // Add filter parameters
@@ -3761,44 +4393,17 @@ document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListe
         });
         
         content += createParam("Chan Gain", 0);
-        content += "\t\t</Params>\n\t</Room EQ L>\n";
-        
-        // Add right channel
-        content += `\t<Room EQ R>\n\t\t<Params>\n`;
-        content += createParam("REQ Delay", 0);
-        
-        // Add filter parameters (same as left channel)
-        organizedFilters.forEach((filter, i) => {
-            const bandNum = i + 1;
-            const freq = filter ? filter.freq : 7500;
-            const q = filter ? filter.q : 0.7;
-            const gain = filter ? filter.gain : 0;
-            
-            content += createParam(`REQ Band${bandNum} Freq`, freq);
-            content += createParam(`REQ Band${bandNum} Q`, q);
-            content += createParam(`REQ Band${bandNum} Gain`, gain);
-        });
-        
-        // Add filter type parameters for slots 1, 8, and 9 (same as left channel)
-        [0, 7, 8].forEach(i => {
-            const filter = organizedFilters[i];
-            const bandNum = i + 1;
-            const type = filter ? filter.type : "PK";
-            const typeValue = (type === "LSQ" || type === "HSQ") ? 1.00 : 0.00;
-            // Different spacing for band 8 and 9 type parameters
-            const typeParamName = bandNum === 1 ? `REQ Band1Type` :
-                                bandNum === 8 ? `REQ Band8 Type` :
-                                `REQ Band9 Type`;
-            content += createParam(typeParamName, typeValue);
-        });
-        
-        content += createParam("Chan Gain", 0);
-        content += "\t\t</Params>\n\t</Room EQ R>\n";
-        content += "</Preset>\n";
+        content += `\t\t</Params>\n\t</${name}>\n`;
         
         return content;
     };
 
+    // Function to create main 9-band format, [L, R] filters
+    const create9BandFormat = (filtersLR) => {
+        return "<Preset>\n" + createRoomEQChannel("Room EQ L", filtersLR[0]) +
+            createRoomEQChannel("Room EQ R", filtersLR[1]) + "</Preset>\n";
+    };
+
     // Function to create 3-band format
     const create3BandFormat = (filters) => {
         // Take the remaining filters (max 3)
@@ -3880,42 +4485,54 @@ document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListe
     };
 
     try {
-        // Filter out zero frequency filters before validation
-        filters = filters.filter(f => f.freq !== 0);
-        
-        if (filters.length === 0) {
+        if (!filtersLR[0].length && !filtersLR[1].length) {
             alert("No valid filters to export (all frequencies are 0).");
             return;
         }
 
         // Validate filters
-        validateMainFilters(filters);
+        filtersLR.forEach((filters, side) => validateMainFilters(filters, labels[side]));
         
         // Create base filename
         const baseFilename = phoneObj.fullName.replace(/^Uploaded /, "");
         
-        // Create and download 9-band file
-        const mainContent = create9BandFormat(filters);
+        // The 9-band file holds both channels, a 3-band PEQ preset is loaded per channel
+        const mainContent = create9BandFormat(filtersLR);
+        const peqFiles = (isSeparateEQ() ? [0, 1] : [0]).map(side => ({
+            name: baseFilename + "_3band" + (isSeparateEQ() ? " " + ["L", "R"][side] : "") + ".tmeq",
+            text: create3BandFormat(filtersLR[side]),
+            needed: filtersLR[side].length > 9
+        }));
         let exportElem = document.querySelector("#file-filters-export");
+        if (bundle) {
+            // One archive with all presets, the 3-band PEQ is left flat when not needed
+            let files = [{ name: baseFilename + "_9band.tmreq", text: mainContent }].concat(peqFiles);
+            exportElem.href && URL.revokeObjectURL(exportElem.href);
+            exportElem.href = URL.createObjectURL(FileExport.zip(files));
+            exportElem.download = baseFilename + " TotalMix.zip";
+            exportElem.click();
+            return;
+        }
         exportElem.href && URL.revokeObjectURL(exportElem.href);
         exportElem.href = URL.createObjectURL(new Blob([mainContent], { type: 'text/xml' }));
         exportElem.download = baseFilename + "_9band.tmreq";
         exportElem.click();
         
-        // If we have more than 9 filters, create and download 3-band file
-        if (filters.length > 9) {
+        // If a channel has more than 9 filters, create and download its 3-band file
+        peqFiles.filter(file => file.needed).forEach((file, i) => {
             setTimeout(() => {
-                const extraContent = create3BandFormat(filters);
                 exportElem.href && URL.revokeObjectURL(exportElem.href);
-                exportElem.href = URL.createObjectURL(new Blob([extraContent], { type: 'text/xml' }));
-                exportElem.download = baseFilename + "_3band.tmeq";
+                exportElem.href = URL.createObjectURL(new Blob([file.text], { type: 'text/xml' }));
+                exportElem.download = file.name;
                 exportElem.click();
-            }, 100); // Small delay to ensure files download in correct order
-        }
+            }, 100 * (i + 1)); // Small delay to ensure files download in correct order
+        });
     } catch (error) {
         alert(error.message);
     }
-});
+};
+document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListener("click", () => exportTotalMix(false));
+document.querySelector("div.extra-eq button.export-totalmix-bundle").addEventListener("click", () => exportTotalMix(true));
     // Export filters as graphic eq (for wavelet)
     document.querySelector("div.extra-eq button.export-graphic-filters").addEventListener("click", () => {
         let phoneSelected = eqPhoneSelect.value;
@@ -3926,13 +4543,253 @@ document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListe
             alert("Please add at least one filter before exporting.");
             return;
         }
+        if (filters.some(f => f.type === "AP")) {
+            alert("All-pass filters only change phase and are left out of the graphic EQ.");
+        }
         let graphicEQ = Equalizer.as_graphic_eq(filters);
         let settings = "GraphicEQ: " + graphicEQ.map(([f, gain]) =>
             f.toFixed(0) + " " + gain.toFixed(1)).join("; ");
         let exportElem = document.querySelector("#file-filters-export");
         exportElem.href && URL.revokeObjectURL(exportElem.href);
         exportElem.href = URL.createObjectURL(new Blob([settings]));
-        exportElem.download = phoneObj.fullName.replace(/^Uploaded /, "") + " Graphic Filters.txt";
+        exportElem.download = phoneObj.fullName.replace(/^Uploaded /, "") + channelSuffix() + " Graphic Filters.txt";
+        exportElem.click();
+    });
+
+    // Export filters for Linux DSP (CamillaDSP and PipeWire filter-chain)
+    let getExportPhone = () => {
+        let phoneSelected = eqPhoneSelect.value;
+        return phoneSelected && activePhones.filter(
+            p => !p.isPrefBounds && p.brand.name + " " + p.dispName == phoneSelected && p.eq)[0];
+    };
+    let exportText = (text, fileName) => {
+        let exportElem = document.querySelector("#file-filters-export");
+        exportElem.href && URL.revokeObjectURL(exportElem.href);
+        exportElem.href = URL.createObjectURL(new Blob([text]));
+        exportElem.download = fileName;
+        exportElem.click();
+    };
+    let camillaTypes = { PK: "Peaking", LSQ: "Lowshelf", HSQ: "Highshelf", LS6: "LowshelfFO", HS6: "HighshelfFO",
+        LPQ: "Lowpass", HPQ: "Highpass", NO: "Notch", BP: "Bandpass", AP: "Allpass" };
+    let asCamillaDSP = (name, preamp, filtersLR, separate) => {
+        // CamillaDSP v3 config section, pre-amp and filters per channel
+        let yaml = "# " + name + "\n" +
+            "# Sample rate: " + Equalizer.config.DefaultSampleRate + " Hz\n" +
+            "filters:\n" +
+            "  preamp:\n" +
+            "    type: Gain\n" +
+            "    parameters:\n" +
+            "      gain: " + preamp.toFixed(1) + "\n" +
+            "      inverted: false\n" +
+            "      scale: dB\n";
+        let channels = separate ? [[0], [1]] : [[0, 1]];
+        let names = channels.map((_, c) => {
+            let prefix = separate ? "eq_" + ["l", "r"][c] + "_" : "eq_";
+            return Equalizer.as_biquads(filtersLR[c]).map((f, i) => {
+                let name = prefix + (i + 1);
+                yaml += "  " + name + ":\n" +
+                    "    type: Biquad\n" +
+                    "    parameters:\n" +
+                    "      type: " + camillaTypes[f.type] + "\n" +
+                    "      freq: " + f.freq.toFixed(0) + "\n" +
+                    (Equalizer.uses_q(f.type) ? "      q: " + f.q.toFixed(3) + "\n" : "") +
+                    (Equalizer.uses_gain(f.type) ? "      gain: " + f.gain.toFixed(1) + "\n" : "");
+                return name;
+            });
+        });
+        yaml += "pipeline:\n";
+        channels.forEach((ch, c) => {
+            yaml += "  - type: Filter\n" +
+                "    channels: [" + ch.join(", ") + "]\n" +
+                "    names:\n" +
+                ["preamp"].concat(names[c]).map(n => "      - " + n + "\n").join("");
+        });
+        return yaml;
+    };
+    let pipewireLabels = { PK: "bq_peaking", LSQ: "bq_lowshelf", HSQ: "bq_highshelf", LPQ: "bq_lowpass",
+        HPQ: "bq_highpass", NO: "bq_notch", BP: "bq_bandpass", AP: "bq_allpass" };
+    let asPipeWire = (name, preamp, filtersLR, separate) => {
+        // filter-chain module, the pre-amp is a high shelf at 0 Hz
+        let sampleRate = Equalizer.config.DefaultSampleRate;
+        let nodes = [], links = [], inputs = [], outputs = [];
+        (separate ? ["l_", "r_"] : [""]).forEach((prefix, c) => {
+            let chain = [prefix + "preamp"];
+            nodes.push("{ type = builtin name = " + chain[0] + " label = bq_highshelf control = { \"Freq\" = 0 \"Q\" = 1.0 \"Gain\" = " + preamp.toFixed(1) + " } }");
+            Equalizer.as_biquads(filtersLR[c]).forEach((f, i) => {
+                let node = prefix + "eq_band_" + (i + 1);
+                if (f.type === "LS6" || f.type === "HS6") {
+                    // First-order shelves have no builtin, use their coefficients
+                    let [a0, a1, a2, b0, b1, b2] = Equalizer.filters_to_coeffs([f], sampleRate)[0];
+                    nodes.push("{ type = builtin name = " + node + " label = bq_raw config = { coefficients = [ { rate = " + sampleRate +
+                        " b0 = " + b0 + " b1 = " + b1 + " b2 = " + b2 + " a0 = " + a0 + " a1 = " + a1 + " a2 = " + a2 + " } ] } }");
+                } else {
+                    nodes.push("{ type = builtin name = " + node + " label = " + pipewireLabels[f.type] + " control = { \"Freq\" = " + f.freq.toFixed(1) +
+                        " \"Q\" = " + (Equalizer.uses_q(f.type) ? f.q : 1).toFixed(3) + " \"Gain\" = " + (Equalizer.uses_gain(f.type) ? f.gain : 0).toFixed(1) + " } }");
+                }
+                chain.push(node);
+            });
+            chain.slice(1).forEach((node, i) => links.push("{ output = \"" + chain[i] + ":Out\" input = \"" + node + ":In\" }"));
+            inputs.push("\"" + chain[0] + ":In\"");
+            outputs.push("\"" + chain[chain.length - 1] + ":Out\"");
+        });
+        let id = name.toLowerCase().replace(/[^a-z0-9]+/g, "_");
+        return "# " + name + "\n" +
+            "# Sample rate: " + sampleRate + " Hz\n" +
+            "context.modules = [\n" +
+            "    { name = libpipewire-module-filter-chain\n" +
+            "        args = {\n" +
+            "            node.description = \"" + name + " EQ\"\n" +
+            "            media.name       = \"" + name + " EQ\"\n" +
+            "            filter.graph = {\n" +
+            "                nodes = [\n" +
+            nodes.map(n => "                    " + n + "\n").join("") +
+            "                ]\n" +
+            "                links = [\n" +
+            links.map(l => "                    " + l + "\n").join("") +
+            "                ]\n" +
+            // A single chain is duplicated for each channel, separate chains are routed explicitly
+            (separate ? "                inputs  = [ " + inputs.join(" ") + " ]\n" +
+                "                outputs = [ " + outputs.join(" ") + " ]\n" : "") +
+            "            }\n" +
+            "            audio.channels = 2\n" +
+            "            audio.position = [ FL FR ]\n" +
+            "            capture.props = {\n" +
+            "                node.name   = \"effect_input." + id + "\"\n" +
+            "                media.class = Audio/Sink\n" +
+            "            }\n" +
+            "            playback.props = {\n" +
+            "                node.name   = \"effect_output." + id + "\"\n" +
+            "                node.passive = true\n" +
+            "            }\n" +
+            "        }\n" +
+            "    }\n" +
+            "]\n";
+    };
+    document.querySelector("div.extra-eq button.export-camilladsp").addEventListener("click", () => {
+        let phoneObj = getExportPhone();
+        let filtersLR = getChannelFilters();
+        if (!phoneObj || !(filtersLR[0].length || filtersLR[1].length)) {
+            alert("Please select model and add at least one filter before exporting.");
+            return;
+        }
+        let name = phoneObj.fullName.replace(/^Uploaded /, "");
+        exportText(asCamillaDSP(name, analyzeEQHeadroom().preamp, filtersLR, isSeparateEQ()), name + " CamillaDSP.yml");
+    });
+    document.querySelector("div.extra-eq button.export-pipewire").addEventListener("click", () => {
+        let phoneObj = getExportPhone();
+        let filtersLR = getChannelFilters();
+        if (!phoneObj || !(filtersLR[0].length || filtersLR[1].length)) {
+            alert("Please select model and add at least one filter before exporting.");
+            return;
+        }
+        let name = phoneObj.fullName.replace(/^Uploaded /, "");
+        exportText(asPipeWire(name, analyzeEQHeadroom().preamp, filtersLR, isSeparateEQ()), name + " PipeWire.conf");
+    });
+
+    // Export filters for dongle DSP apps, fit to the device's bands and precision first
+    let dspPresets = {
+        qudelix: {
+            // Qudelix-5K app user EQ preset, 10 bands with pre-gain
+            types: { PK: "PEQ", LSQ: "LS", HSQ: "HS", LPQ: "LPF", HPQ: "HPF" },
+            build: (name, preGain, bands) => ({
+                name, preGain,
+                bands: bands.map((f, i) => ({ index: i + 1, enabled: f.enabled, type: f.type, freq: f.freq, gain: f.gain, q: f.q }))
+            }),
+            file: " Qudelix-5K.json"
+        },
+        fiio: {
+            // FiiO Control PEQ, types are 0 peak, 1 low shelf and 2 high shelf
+            types: { PK: 0, LSQ: 1, HSQ: 2 },
+            build: (name, preGain, bands) => ({
+                name, globalGain: preGain,
+                filters: bands.map((f, i) => ({ index: i, enabled: f.enabled, type: f.type, frequency: f.freq, gain: f.gain, q: f.q }))
+            }),
+            file: " FiiO PEQ.json"
+        },
+        moondrop: {
+            // Tanchjim and Moondrop app EQ preset
+            types: { PK: "PK", LSQ: "LS", HSQ: "HS" },
+            build: (name, preGain, bands) => ({
+                name, preamp: preGain,
+                eq: bands.map(f => ({ enable: f.enabled, type: f.type, fc: f.freq, gain: f.gain, q: f.q }))
+            }),
+            file: " Tanchjim Moondrop.json"
+        }
+    };
+    let exportDSPPreset = (id) => {
+        let phoneObj = getExportPhone();
+        let filters = elemToFilters();
+        if (!phoneObj || !filters.length) {
+            alert("Please select model and add at least one filter before exporting.");
+            return;
+        }
+        let profile = DeviceProfiles.get(id);
+        let result = DeviceProfiles.fitFilters(profile, filters);
+        if (result.error) {
+            alert(`${profile.name} export failed: ${result.error}`);
+            return;
+        }
+        // Pre-gain for the rounded filters, in the device's gain steps and never above 0 dB
+        let fitted = result.filters.filter(f => f);
+        let gainStep = DeviceProfiles.getSlots(profile, 0)[0].step.gain;
+        let preGain = Math.floor(Equalizer.analyze_headroom(fitted, Equalizer.config.DefaultSampleRate).preamp / gainStep) * gainStep;
+        preGain = Math.max(parseFloat(Math.min(preGain, 0).toFixed(2)), profile.gainRange[0]);
+        // Unused bands are written as disabled 0 dB peaks to keep the band count
+        let preset = dspPresets[id];
+        let bands = result.filters.map(f => f ?
+            { enabled: true, type: preset.types[f.type], freq: f.freq, gain: f.gain, q: f.q } :
+            { enabled: false, type: preset.types.PK, freq: 1000, gain: 0, q: 1 });
+        let name = phoneObj.fullName.replace(/^Uploaded /, "") + channelSuffix();
+        if (result.modifications.length) {
+            alert(`${profile.name}: rounded to device precision:\n${result.modifications.join('\n')}`);
+        }
+        exportText(JSON.stringify(preset.build(name, preGain, bands), null, 2), name + preset.file);
+    };
+    Object.keys(dspPresets).forEach(id => {
+        document.querySelector("div.extra-eq button.export-" + id).addEventListener("click", () => exportDSPPreset(id));
+    });
+
+    // Export filters or correction curve as FIR impulse (for convolution engines)
+    document.querySelector("div.extra-eq button.export-impulse").addEventListener("click", () => {
+        let source = document.querySelector("div.extra-eq select[name='impulse-source']").value;
+        let phase = document.querySelector("div.extra-eq select[name='impulse-phase']").value;
+        let taps = parseInt(document.querySelector("div.extra-eq select[name='impulse-taps']").value);
+        let stereo = document.querySelector("div.extra-eq select[name='impulse-channels']").value === "stereo";
+        let sampleRate = Equalizer.config.DefaultSampleRate;
+        let phoneSelected = eqPhoneSelect.value;
+        let phoneObj = phoneSelected && activePhones.filter(
+            p => !p.isPrefBounds && p.brand.name + " " + p.dispName == phoneSelected)[0];
+        let responses;
+        if (source === "correction") {
+            let targetObj = getAutoEQTarget(phoneObj);
+            if (!phoneObj || !targetObj) {
+                alert("Please select model and target before exporting the correction.");
+                return;
+            }
+            let phoneCHs = (phoneObj.rawChannels.filter(c => c)
+                .map(ch => ch.map(([f, v]) => [f, v + phoneObj.norm])));
+            let targetCH = targetObj.rawChannels.filter(c => c)[0].map(([f, v]) => [f, v + targetObj.norm]);
+            let targetFR = Equalizer.interp(f_values, targetCH);
+            let correction = ch => Equalizer.interp(f_values, ch).map(([f, v], i) =>
+                [f, targetFR[i][1] - v]);
+            responses = (stereo ? [phoneCHs[0], phoneCHs[phoneCHs.length-1]] :
+                [phoneCHs.length > 1 ? avgCurves(phoneCHs) : phoneCHs[0]]).map(correction);
+        } else {
+            let filtersLR = getChannelFilters();
+            if (!filtersLR[0].length && !filtersLR[1].length) {
+                alert("Please add at least one filter before exporting.");
+                return;
+            }
+            let fr = filters => Equalizer.apply(Equalizer.config.GraphicEQRawFrequences.map(f => [f, 0]), filters);
+            responses = stereo ? filtersLR.map(fr) : [fr(elemToFilters())];
+        }
+        let channels = responses.map(fr => Equalizer.as_fir(fr, taps, sampleRate, phase));
+        let name = (phoneObj ? phoneObj.fullName : "Unnamed").replace(/^Uploaded /, "");
+        let exportElem = document.querySelector("#file-filters-export");
+        exportElem.href && URL.revokeObjectURL(exportElem.href);
+        exportElem.href = URL.createObjectURL(new Blob([FileExport.floatWav(channels, sampleRate)], { type: "audio/wav" }));
+        exportElem.download = name + " Impulse " + (phase === "linear" ? "Linear" : "Minimum") +
+            " Phase " + sampleRate + "Hz.wav";
         exportElem.click();
     });
 
@@ -3957,6 +4814,7 @@ document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListe
                 getFilters: () => elemToFilters(true),
                 setFilters: filtersToElem,
                 applyEQ: applyEQ,
+                endEdit: UndoHistory.commit,
                 getEQPhoneSelect: () => eqPhoneSelect,
                 getFilterInputs: () => ({
                     enabled: filterEnabledInput,
@@ -4046,213 +4904,573 @@ document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListe
     })();
     // ==================== End Interactive EQ Module Integration ====================
 
+    // ==================== Phase Graph Module Integration ====================
+    (function initPhaseGraph() {
+        if (typeof PhaseGraph === 'undefined') {
+            console.warn('PhaseGraph module not loaded - phase view disabled');
+            document.querySelector("div.extra-eq div.phase-graph-row").style.display = "none";
+            return;
+        }
+
+        let phasePad = { l: pad.l, r: pad.r, t: 15, b: 25 };
+        PhaseGraph.init({
+            scales: { x },
+            svg: { pg: doc.select("#phase-graph") },
+            geometry: { pad: phasePad, W, H: 160 - phasePad.t - phasePad.b },
+            callbacks: {
+                getFilters: () => elemToFilters(true),
+                getFilterColor: i => typeof InteractiveEQ !== 'undefined' ?
+                    InteractiveEQ.getFilterColor(i) : d3.schemeCategory10[i % 10]
+            },
+            Equalizer: Equalizer
+        });
+
+        let phaseButton = document.querySelector("div.extra-eq button.phase-graph-toggle");
+        let delayButton = document.querySelector("div.extra-eq button.group-delay-toggle");
+        let toggleMode = (mode) => {
+            let newMode = PhaseGraph.getMode() === mode ? null : mode;
+            PhaseGraph.setMode(newMode);
+            phaseButton.classList.toggle("selected", newMode === "phase");
+            delayButton.classList.toggle("selected", newMode === "delay");
+        };
+        phaseButton.addEventListener("click", () => toggleMode("phase"));
+        delayButton.addEventListener("click", () => toggleMode("delay"));
+    })();
+    // ==================== End Phase Graph Module Integration ====================
+
     // TotalMixFX OSC Integration
     (function() {
-        const BRIDGE_URL = 'http://127.0.0.1:8765';
+        const DEFAULT_BRIDGE_URL = typeof totalMixBridgeURL !== 'undefined' ? totalMixBridgeURL : 'http://127.0.0.1:8765';
+        const MIN_BRIDGE_VERSION = typeof totalMixBridgeMinVersion !== 'undefined' ? totalMixBridgeMinVersion : '1.0.0';
+        const REQUEST_TIMEOUT = 3000;   // ms
+        const HEALTH_INTERVAL = 10000;  // ms
+        const LIVE_INTERVAL = 100;      // ms
+
+        TotalMixEQ.init({ DeviceProfiles, Equalizer });
 
         const tmConnect = document.querySelector('.totalmix-connect');
         const tmSend = document.querySelector('.totalmix-send');
         const tmRead = document.querySelector('.totalmix-read');
-        const tmChannel = document.querySelector('select[name="totalmix-channel"]');
+        const tmSnapshot = document.querySelector('.totalmix-snapshot');
+        const tmDiff = document.querySelector('.totalmix-diff');
+        const tmChannelList = document.querySelector('.totalmix-channel-list');
+        const tmDiffResult = document.querySelector('.totalmix-diff-result');
+        const tmSnapshots = document.querySelector('.totalmix-snapshots');
         const tmStatus = document.querySelector('.totalmix-status');
+        const tmBridgeURL = document.querySelector('input[name="totalmix-bridge-url"]');
+        const tmLive = document.querySelector('input[name="totalmix-live"]');
+
+        // The bridge URL typed in the ui wins over config.js, and connecting is remembered
+        tmBridgeURL.value = localStorage.getItem('totalmix-bridge-url') || DEFAULT_BRIDGE_URL;
+        let wantConnected = localStorage.getItem('totalmix-connected') === 'true';
+        let connected = false;
+        let healthTimer = null;
+        let checking = false;
+        let liveSent = null;    // { key: targets, bands: [[12 bands] per target] } last live or manual send
+        let liveHandle = null;
+        let liveLast = 0;       // performance.now() of the last live sync
+        let liveSending = false;
+        let livePending = false;
+
+        // Filters are sent to every checked channel, in separate L/R mode each channel picks a side
+        function updateChannelSides() {
+            tmChannelList.classList.toggle('linked', !isSeparateEQ());
+        }
+        eqChannelModeSelect.addEventListener('input', updateChannelSides);
+
+        function setChannels(channels) {
+            // Keep checked channels and sides when reconnecting, otherwise the first channel is checked
+            const previous = {};
+            tmChannelList.querySelectorAll('label.totalmix-channel').forEach(l => {
+                previous[l.dataset.index] = { checked: l.querySelector('input').checked, side: l.querySelector('select').value };
+            });
+            const hasPrevious = channels.some(ch => previous[ch.index]);
+            tmChannelList.innerHTML = '';
+            channels.forEach((ch, i) => {
+                const label = document.createElement('label');
+                label.className = 'totalmix-channel';
+                label.dataset.index = ch.index;
+                label.innerHTML = '<input type="checkbox"><span class="name"></span>' +
+                    '<select name="side"><option value="0">L</option><option value="1">R</option></select>';
+                label.querySelector('.name').textContent = ch.name;
+                const state = previous[ch.index] || { checked: !hasPrevious && i === 0, side: String(i % 2) };
+                label.querySelector('input').checked = state.checked;
+                label.querySelector('select').value = state.side;
+                tmChannelList.appendChild(label);
+            });
+            updateChannelSides();
+        }
+
+        // [{ index, name, side }] of the checked channels, side is 0 (L) or 1 (R), always 0 when linked
+        function getTargets() {
+            return Array.from(tmChannelList.querySelectorAll('label.totalmix-channel'))
+                .filter(l => l.querySelector('input').checked)
+                .map(l => ({
+                    index: parseInt(l.dataset.index),
+                    name: l.querySelector('.name').textContent,
+                    side: isSeparateEQ() ? parseInt(l.querySelector('select').value) : 0
+                }));
+        }
+
+        function getAllChannels() {
+            return Array.from(tmChannelList.querySelectorAll('label.totalmix-channel')).map(l => ({
+                index: parseInt(l.dataset.index), name: l.querySelector('.name').textContent
+            }));
+        }
 
         function setStatus(msg, color = '#999') {
             tmStatus.textContent = msg;
             tmStatus.style.color = color;
         }
 
-        // Organize all filters for TotalMix (Room EQ + PEQ)
-        // LSQ: REQ band 1 or PEQ band 1 (max 2 total)
-        // HSQ: REQ bands 8,9 or PEQ band 3 (max 3 total)
-        // PK: any remaining slot
-        function organizeAllFilters(filters) {
-            let lsqFilters = filters.filter(f => f.type === "LSQ");
-            let hsqFilters = filters.filter(f => f.type === "HSQ");
-            let pkFilters = filters.filter(f => f.type === "PK");
-
-            // Validate shelving counts
-            if (lsqFilters.length > 2) {
-                return { error: `Too many Low Shelf filters: ${lsqFilters.length} (max 2: REQ band 1 + PEQ band 1)` };
-            }
-            if (hsqFilters.length > 3) {
-                return { error: `Too many High Shelf filters: ${hsqFilters.length} (max 3: REQ bands 8,9 + PEQ band 3)` };
-            }
+        function bridgeURL() {
+            return tmBridgeURL.value.trim().replace(/\/+$/, '');
+        }
 
-            // Room EQ: 9 bands, shelving only in positions 0 (LSQ), 7, 8 (HSQ)
-            let roomEQ = new Array(9).fill(null);
-            // PEQ: 3 bands, shelving only in positions 0 (LSQ), 2 (HSQ)
-            let peq = new Array(3).fill(null);
+        function bridgeError(kind, message, status) {
+            const error = new Error(message);
+            error.kind = kind;  // "timeout", "cors", "offline", "http" or "version"
+            error.status = status;
+            return error;
+        }
 
-            // Place LSQ filters (band 1 of REQ, then band 1 of PEQ)
-            let lsqIndex = 0;
-            if (lsqIndex < lsqFilters.length) {
-                roomEQ[0] = {...lsqFilters[lsqIndex++]};
-            }
-            if (lsqIndex < lsqFilters.length) {
-                peq[0] = {...lsqFilters[lsqIndex++]};
+        async function fetchWithTimeout(url, options) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+            try {
+                return await fetch(url, { ...options, signal: controller.signal });
+            } finally {
+                clearTimeout(timer);
             }
+        }
 
-            // Place HSQ filters (bands 8,9 of REQ, then band 3 of PEQ)
-            let hsqIndex = 0;
-            if (hsqIndex < hsqFilters.length) {
-                roomEQ[7] = {...hsqFilters[hsqIndex++]};
-            }
-            if (hsqIndex < hsqFilters.length) {
-                roomEQ[8] = {...hsqFilters[hsqIndex++]};
+        // Fetch JSON from the bridge, network failures are told apart as timeout, CORS or offline
+        async function bridgeFetch(path, options = {}) {
+            const url = bridgeURL() + path;
+            let res;
+            try {
+                res = await fetchWithTimeout(url, options);
+            } catch (e) {
+                if (e.name === 'AbortError') {
+                    throw bridgeError('timeout', `Timed out after ${REQUEST_TIMEOUT / 1000}s - is totalmix-bridge running at ${bridgeURL()}?`);
+                }
+                // An opaque no-cors request still succeeds when only the page origin is rejected
+                const reachable = await fetchWithTimeout(url, { mode: 'no-cors' }).then(() => true, () => false);
+                throw reachable ?
+                    bridgeError('cors', `Blocked by CORS - allow ${location.origin} in totalmix-bridge`) :
+                    bridgeError('offline', `Failed - download and run totalmix-bridge first (${bridgeURL()})`);
             }
-            if (hsqIndex < hsqFilters.length) {
-                peq[2] = {...hsqFilters[hsqIndex++]};
+            if (!res.ok) {
+                throw bridgeError('http', `Bridge error ${res.status} on ${path}`, res.status);
             }
+            return res.json();
+        }
 
-            // Fill remaining slots with peaking filters
-            let pkIndex = 0;
-            // Fill Room EQ first
-            for (let i = 0; i < 9 && pkIndex < pkFilters.length; i++) {
-                if (!roomEQ[i]) {
-                    roomEQ[i] = {...pkFilters[pkIndex++]};
-                }
-            }
-            // Then fill PEQ
-            for (let i = 0; i < 3 && pkIndex < pkFilters.length; i++) {
-                if (!peq[i]) {
-                    peq[i] = {...pkFilters[pkIndex++]};
-                }
+        function compareVersions(a, b) {
+            const pa = String(a).split('.').map(n => parseInt(n) || 0);
+            const pb = String(b).split('.').map(n => parseInt(n) || 0);
+            for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+                if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
             }
+            return 0;
+        }
 
-            // Check if we have leftover filters
-            const totalFilters = lsqFilters.length + hsqFilters.length + pkFilters.length;
-            if (totalFilters > 12) {
-                return { error: `Too many filters: ${totalFilters} (max 12: 9 REQ + 3 PEQ)` };
+        // Bridge version, null for bridges without the health endpoint
+        async function checkHealth() {
+            let version = null;
+            try {
+                const health = await bridgeFetch('/api/health');
+                version = health.version || null;
+            } catch (e) {
+                if (e.kind !== 'http' || e.status !== 404) throw e;
             }
+            if (version && compareVersions(version, MIN_BRIDGE_VERSION) < 0) {
+                throw bridgeError('version', `Bridge version ${version} is too old, update totalmix-bridge to ${MIN_BRIDGE_VERSION} or newer`);
+            }
+            return version;
+        }
 
-            // Apply PEQ precision limits and track changes
-            let modifications = [];
-            peq.forEach((f, i) => {
-                if (!f) return;
-                const origFreq = f.freq;
-                const origQ = f.q;
-                const origGain = f.gain;
-
-                f.freq = Math.round(f.freq);
-                f.q = Math.round(f.q * 10) / 10;
-                f.gain = Math.round(f.gain * 2) / 2;
-
-                let changes = [];
-                if (origFreq !== f.freq) changes.push(`F:${origFreq}→${f.freq}`);
-                if (origQ !== f.q) changes.push(`Q:${origQ}→${f.q}`);
-                if (origGain !== f.gain) changes.push(`G:${origGain}→${f.gain}`);
-                if (changes.length) {
-                    modifications.push(`PEQ${i+1}: ${changes.join(', ')}`);
-                }
-            });
+        function setConnected(value) {
+            connected = value;
+            tmChannelList.querySelectorAll('input, select').forEach(e => e.disabled = !value);
+            tmSend.disabled = !value;
+            tmRead.disabled = !value;
+            tmLive.disabled = !value;
+            tmSnapshot.disabled = !value;
+            tmDiff.disabled = !value;
+            liveSent = null;
+        }
 
-            // Count actual filters before filling with placeholders
-            const roomEQCount = roomEQ.filter(f => f !== null).length;
-            const peqCount = peq.filter(f => f !== null).length;
+        function connectedStatus(version) {
+            setStatus(`Connected${version ? ' to totalmix-bridge ' + version : ''}`, '#0f0');
+        }
 
-            // Fill empty slots with zero-gain placeholder filters to preserve positions
-            const emptyFilter = { type: 'PK', freq: 1000, gain: 0, q: 1.0 };
-            for (let i = 0; i < 9; i++) {
-                if (!roomEQ[i]) roomEQ[i] = {...emptyFilter};
-            }
-            for (let i = 0; i < 3; i++) {
-                if (!peq[i]) peq[i] = {...emptyFilter};
+        // Runs every HEALTH_INTERVAL while the user wants to be connected, reconnecting after failures
+        async function healthTick() {
+            if (checking || !wantConnected) return;
+            checking = true;
+            try {
+                if (!connected) {
+                    await connect();
+                } else {
+                    await checkHealth();
+                }
+            } catch (e) {
+                setConnected(false);
+                setStatus(`${e.message} - retrying`, '#f66');
+            } finally {
+                checking = false;
             }
+        }
 
-            return {
-                roomEQ: roomEQ,
-                peq: peq,
-                roomEQCount: roomEQCount,
-                peqCount: peqCount,
-                modifications
-            };
+        function setWantConnected(value) {
+            wantConnected = value;
+            localStorage.setItem('totalmix-connected', value ? 'true' : '');
+            tmConnect.textContent = value ? 'Disconnect' : 'Connect';
+            clearInterval(healthTimer);
+            healthTimer = value ? setInterval(healthTick, HEALTH_INTERVAL) : null;
         }
 
-        // Connect - fetch channel list
-        tmConnect.addEventListener('click', async () => {
+        // Connect - check the bridge and fetch channel list, throws on failure
+        async function connect() {
             setStatus('Connecting...', '#ff0');
+            const version = await checkHealth();
+            const data = await bridgeFetch('/api/channels');
+            setChannels(data.channels);
+            setConnected(true);
+            connectedStatus(version);
+        }
+
+        tmConnect.addEventListener('click', async () => {
+            if (wantConnected) {
+                setWantConnected(false);
+                setConnected(false);
+                setStatus('Disconnected');
+                return;
+            }
+            setWantConnected(true);
+            checking = true;
             try {
-                const res = await fetch(`${BRIDGE_URL}/api/channels`);
-                const data = await res.json();
-                tmChannel.innerHTML = data.channels.map(ch =>
-                    `<option value="${ch.index}">${ch.name}</option>`
-                ).join('');
-                tmChannel.disabled = false;
-                tmSend.disabled = false;
-                tmRead.disabled = false;
-                setStatus('Connected', '#0f0');
+                await connect();
             } catch (e) {
-                setStatus('Failed - download and run totalmix-bridge first', '#f66');
+                setConnected(false);
+                setStatus(e.message, '#f66');
+            } finally {
+                checking = false;
             }
         });
 
+        tmBridgeURL.addEventListener('change', () => {
+            const url = bridgeURL();
+            url && url !== DEFAULT_BRIDGE_URL ?
+                localStorage.setItem('totalmix-bridge-url', url) :
+                localStorage.removeItem('totalmix-bridge-url');
+            if (wantConnected) {
+                setConnected(false);
+                healthTick();
+            }
+        });
+
+        // Reconnect when the user was connected on the last visit
+        if (wantConnected) {
+            setWantConnected(true);
+            healthTick();
+        }
+
+        // Validate and organize the filters of one channel, null after alerting an error
+        // Live mode reports errors in the status line and sends an empty list as flat bands
+        function organizeChannel(filters, label, live = false) {
+            const report = live ? (msg => setStatus(`Live: ${msg}`, '#f66')) : (msg => alert(msg));
+            const result = TotalMixEQ.organize(filters);
+            if (result.error) {
+                report(`Error${label}: ${result.error}`);
+                return null;
+            }
+            if (!result.roomEQCount && !result.peqCount && !live) {
+                report(`No active filters to send${label}.`);
+                return null;
+            }
+            return result;
+        }
+
+        // Organized filters of each side the targets use, null after reporting an error
+        function organizeSides(targets, live = false) {
+            const filtersLR = getChannelFilters(true);
+            const labels = isSeparateEQ() ? [' (L)', ' (R)'] : ['', ''];
+            const results = [];
+            for (const side of new Set(targets.map(t => t.side))) {
+                results[side] = organizeChannel(filtersLR[side], labels[side], live);
+                if (!results[side]) return null;
+            }
+            return { results, labels };
+        }
+
+        function targetsKey(targets) {
+            return targets.map(t => t.index + ':' + t.side).join(',');
+        }
+
         // Send EQ to TotalMix
         tmSend.addEventListener('click', async () => {
-            let filters = elemToFilters(true).filter(f => f.freq > 0 && !f.disabled);
-            const channel = parseInt(tmChannel.value);
-
-            if (!filters.length) {
-                alert('No active filters to send.');
+            const targets = getTargets();
+            if (!targets.length) {
+                alert('Please check at least one output channel.');
                 return;
             }
+            const organized = organizeSides(targets);
+            if (!organized) return;
+            const { results, labels } = organized;
 
-            // Validate Q and gain ranges
-            for (let i = 0; i < filters.length; i++) {
-                const f = filters[i];
-                if (f.q < 0.4 || f.q > 9.9) {
-                    alert(`Filter ${i + 1} has Q value ${f.q} outside allowed range (0.4 - 9.9)`);
-                    return;
+            setStatus('Sending...', '#ff0');
+            try {
+                for (const target of targets) {
+                    await TotalMixEQ.send(bridgeFetch, target.index, results[target.side].bands);
                 }
-                if (f.gain < -20 || f.gain > 20) {
-                    alert(`Filter ${i + 1} has gain value ${f.gain} outside allowed range (-20 to +20 dB)`);
-                    return;
+                const sides = Object.keys(results);
+                let statusMsg = `Sent to ${targets.map(t => t.name).join(', ')}: ` + sides.map(side =>
+                    `${results[side].roomEQCount} REQ + ${results[side].peqCount} PEQ bands${labels[side]}`).join(', ');
+                const modifications = [].concat(...sides.map(side =>
+                    results[side].modifications.map(m => m + labels[side])));
+                if (modifications.length > 0) {
+                    statusMsg += ` | Rounded: ${modifications.join('; ')}`;
                 }
+                setStatus(statusMsg, '#0f0');
+                liveSent = { key: targetsKey(targets), bands: targets.map(t => results[t.side].bands) };
+            } catch (e) {
+                setStatus(`Send failed: ${e.message}`, '#f66');
             }
+        });
 
-            // Organize filters with smart redistribution
-            const result = organizeAllFilters(filters);
-            if (result.error) {
-                alert(`Error: ${result.error}`);
+        // Live follow - after each EQ change send the channels whose bands differ from the last
+        // send. Changes during a send are coalesced into one follow-up send of the latest filters.
+        // The bridge only takes all 12 bands, { filters: [12 bands] } like Send
+        async function liveSync() {
+            if (!tmLive.checked || !connected) return;
+            if (liveSending) {
+                livePending = true;
                 return;
             }
-
-            // Combine organized filters for sending
-            const organizedFilters = [...result.roomEQ, ...result.peq];
-
-            setStatus('Sending...', '#ff0');
+            const targets = getTargets();
+            if (!targets.length) {
+                setStatus('Live: check at least one output channel', '#f66');
+                return;
+            }
+            const organized = organizeSides(targets, true);
+            if (!organized) return;
+            const bands = targets.map(t => organized.results[t.side].bands);
+            const key = targetsKey(targets);
+            const previous = liveSent && liveSent.key === key ? liveSent.bands : null;
+            const changes = bands.map((chBands, c) => chBands
+                .filter((f, index) => !previous || JSON.stringify(previous[c][index]) !== JSON.stringify(f)).length);
+            const count = changes.reduce((n, c) => n + c, 0);
+            if (!count) return;
+
+            liveSending = true;
+            const start = performance.now();
             try {
-                const res = await fetch(`${BRIDGE_URL}/api/channel/${channel}/eq`, {
-                    method: 'POST',
-                    headers: {'Content-Type': 'application/json'},
-                    body: JSON.stringify({filters: organizedFilters})
-                });
-                await res.json();
-                let statusMsg = `Sent: ${result.roomEQCount} REQ + ${result.peqCount} PEQ bands`;
-                if (result.modifications.length > 0) {
-                    statusMsg += ` | Rounded: ${result.modifications.join('; ')}`;
+                for (let i = 0; i < targets.length; i++) {
+                    if (!changes[i]) continue;
+                    await TotalMixEQ.send(bridgeFetch, targets[i].index, bands[i]);
                 }
-                setStatus(statusMsg, '#0f0');
+                liveSent = { key, bands };
+                const sent = changes.filter(c => c).length;
+                setStatus(`Live: ${count} band${count > 1 ? 's' : ''} changed, sent to ${sent} channel${sent > 1 ? 's' : ''} in ` +
+                    `${Math.round(performance.now() - start)} ms`, '#0f0');
             } catch (e) {
-                setStatus('Send failed', '#f66');
+                liveSent = null;
+                setStatus(`Live send failed: ${e.message}`, '#f66');
+            } finally {
+                liveSending = false;
+            }
+            if (livePending) {
+                livePending = false;
+                liveSync();
             }
+        }
+
+        // Throttled, not debounced: the first change is sent at once and during a drag at most
+        // every LIVE_INTERVAL, so the device follows the edit. The last change is always sent
+        function scheduleLiveSync() {
+            clearTimeout(liveHandle);
+            liveHandle = setTimeout(() => {
+                liveLast = performance.now();
+                liveSync();
+            }, Math.max(0, liveLast + LIVE_INTERVAL - performance.now()));
+        }
+
+        // applyEQ announces every filter change, including InteractiveEQ drags
+        document.addEventListener('UpdateExtensionFilters', () => {
+            if (tmLive.checked) scheduleLiveSync();
+        });
+        tmLive.addEventListener('change', () => {
+            // Start from a full send, the device may have been changed elsewhere
+            liveSent = null;
+            if (tmLive.checked) scheduleLiveSync();
+        });
+        tmChannelList.addEventListener('change', () => {
+            if (tmLive.checked) scheduleLiveSync();
         });
 
-        // Read EQ from TotalMix
+        // Read EQ from TotalMix, the first checked channel of each side goes into the editor
         tmRead.addEventListener('click', async () => {
-            const channel = parseInt(tmChannel.value);
+            const targets = getTargets();
+            const sides = isSeparateEQ() ? [0, 1] : [0];
+            const sources = sides.map(side => targets.filter(t => t.side === side)[0] || targets[0]);
+            if (!targets.length) {
+                alert('Please check at least one output channel.');
+                return;
+            }
             setStatus('Reading...', '#ff0');
             try {
-                const res = await fetch(`${BRIDGE_URL}/api/channel/${channel}/eq`);
-                const data = await res.json();
-                if (data.filters && data.filters.length) {
-                    filtersToElem(data.filters);
+                const filtersLR = [];
+                for (const source of sources) {
+                    filtersLR.push(TotalMixEQ.toFilters(await TotalMixEQ.read(bridgeFetch, source.index)));
+                }
+                if (filtersLR.some(filters => filters.length)) {
+                    // The device holds the read filters, live follow resends them all once
+                    liveSent = null;
+                    if (filtersLR.length > 1) {
+                        setChannelFilters(filtersLR);
+                    } else {
+                        filtersToElem(filtersLR[0]);
+                    }
                     applyEQ();
-                    setStatus(`Read ${data.filters.length} filters`, '#0f0');
+                    setStatus(`Read ${filtersLR.map(filters => filters.length).join(' + ')} filters from ` +
+                        Array.from(new Set(sources.map(s => s.name))).join(', '), '#0f0');
                 } else {
                     setStatus('No active filters found', '#999');
                 }
             } catch (e) {
-                setStatus('Read failed', '#f66');
+                setStatus(`Read failed: ${e.message}`, '#f66');
+            }
+        });
+
+        // Snapshots - the EQ of every channel, read in one go and kept by name in localStorage.
+        // A snapshot can be loaded into the editor or sent back to the device
+        const MAX_SNAPSHOTS = 20;
+        let snapshots = [];
+        try {
+            // { name, time, channels: [{ index, name, filters: [12 bands] }] }
+            snapshots = (JSON.parse(localStorage.getItem('totalmix-snapshots')) || [])
+                .filter(snapshot => Array.isArray(snapshot.channels));
+        } catch (e) {
+            snapshots = [];
+        }
+
+        function saveSnapshots() {
+            localStorage.setItem('totalmix-snapshots', JSON.stringify(snapshots));
+        }
+
+        function loadSnapshot(snapshot) {
+            // The first checked channel of each side, else the first channel of the snapshot
+            const targets = getTargets();
+            const sides = isSeparateEQ() ? [0, 1] : [0];
+            const filtersLR = sides.map(side => {
+                const target = targets.filter(t => t.side === side)[0] || targets[0];
+                const channel = (target && snapshot.channels.find(ch => ch.index === target.index)) || snapshot.channels[0];
+                return TotalMixEQ.toFilters(channel.filters);
+            });
+            if (filtersLR.length > 1) {
+                setChannelFilters(filtersLR);
+            } else {
+                filtersToElem(filtersLR[0]);
+            }
+            applyEQ();
+            setStatus(`Loaded snapshot ${snapshot.name}`, '#0f0');
+        }
+
+        async function sendSnapshot(snapshot) {
+            if (!connected) {
+                setStatus('Connect to send a snapshot', '#f66');
+                return;
+            }
+            setStatus(`Sending snapshot ${snapshot.name}...`, '#ff0');
+            try {
+                for (const ch of snapshot.channels) {
+                    await TotalMixEQ.send(bridgeFetch, ch.index, ch.filters);
+                }
+                setStatus(`Sent snapshot ${snapshot.name} to ${snapshot.channels.length} channels`, '#0f0');
+            } catch (e) {
+                setStatus(`Send snapshot failed: ${e.message}`, '#f66');
+            }
+            // The device no longer holds the editor filters, live follow resends them all once
+            liveSent = null;
+        }
+
+        function renderSnapshots() {
+            tmSnapshots.innerHTML = '';
+            snapshots.forEach((snapshot, i) => {
+                const row = document.createElement('div');
+                row.className = 'totalmix-snapshot-row';
+                row.innerHTML = '<input type="text" name="snapshot-name" spellcheck="false">' +
+                    '<span class="count"></span><button class="load">Load</button>' +
+                    '<button class="send">Send</button><button class="remove">×</button>';
+                const nameInput = row.querySelector('input');
+                nameInput.value = snapshot.name;
+                nameInput.title = `${snapshot.channels.map(ch => ch.name).join(', ')}, ${new Date(snapshot.time).toLocaleString()}`;
+                row.querySelector('.count').textContent = `${snapshot.channels.length} channels`;
+                nameInput.addEventListener('change', () => {
+                    snapshot.name = nameInput.value.trim() || new Date(snapshot.time).toLocaleString();
+                    saveSnapshots();
+                });
+                row.querySelector('.load').addEventListener('click', () => loadSnapshot(snapshot));
+                row.querySelector('.send').addEventListener('click', () => sendSnapshot(snapshot));
+                row.querySelector('.remove').addEventListener('click', () => {
+                    snapshots.splice(i, 1);
+                    saveSnapshots();
+                    renderSnapshots();
+                });
+                tmSnapshots.appendChild(row);
+            });
+        }
+        renderSnapshots();
+
+        tmSnapshot.addEventListener('click', async () => {
+            const channels = getAllChannels();
+            const time = Date.now();
+            if (!channels.length) {
+                setStatus('No channels to snapshot', '#f66');
+                return;
+            }
+            setStatus('Reading all channels...', '#ff0');
+            try {
+                // Nothing is saved unless every channel could be read
+                const read = [];
+                for (const ch of channels) {
+                    read.push({ index: ch.index, name: ch.name, filters: await TotalMixEQ.read(bridgeFetch, ch.index) });
+                }
+                snapshots.push({ name: `Snapshot ${new Date(time).toLocaleString()}`, time, channels: read });
+                // The oldest snapshots make room
+                const dropped = snapshots.splice(0, Math.max(0, snapshots.length - MAX_SNAPSHOTS)).length;
+                saveSnapshots();
+                renderSnapshots();
+                setStatus(`Saved snapshot of ${read.length} channels` +
+                    (dropped ? `, removed the oldest (max ${MAX_SNAPSHOTS})` : ''), '#0f0');
+            } catch (e) {
+                setStatus(`Snapshot failed, nothing saved: ${e.message}`, '#f66');
+            }
+        });
+
+        tmDiff.addEventListener('click', async () => {
+            const targets = getTargets();
+            if (!targets.length) {
+                alert('Please check at least one output channel.');
+                return;
+            }
+            const organized = organizeSides(targets);
+            if (!organized) return;
+            setStatus('Comparing...', '#ff0');
+            try {
+                const report = [];
+                for (const target of targets) {
+                    const device = await TotalMixEQ.read(bridgeFetch, target.index);
+                    const lines = TotalMixEQ.diff(device, organized.results[target.side].bands);
+                    report.push(`${target.name}${organized.labels[target.side]}: ` +
+                        (lines.length ? `${lines.length} difference${lines.length > 1 ? 's' : ''} (device→editor)\n  ` + lines.join('\n  ') : 'matches the editor'));
+                }
+                tmDiffResult.textContent = report.join('\n');
+                setStatus('Compared device with editor', '#0f0');
+            } catch (e) {
+                setStatus(`Diff failed: ${e.message}`, '#f66');
             }
         });
     })();
@@ -4263,7 +5481,11 @@ document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListe
             "2. Adding/Removing bands before AutoEQ may give you a better results.\n" +
             "3. Using PK filters close to 20kHz is finnicky; avoid touching frequencies beyond 15kHz if you're not sure how your DSP software works.\n" +
             "4. EQing treble frequencies require resonant peak matching and fine-tuning by ear. Keep the treble regions untouched if you're new to EQing.\n" +
-            "5. Use the Tone Generator inside EQ Demo dropdown to find the actual location of peaks and dips to your own ears. Do note that the web version may not work on some platforms.\n");
+            "5. Use the Tone Generator inside EQ Demo dropdown to find the actual location of peaks and dips to your own ears. Do note that the web version may not work on some platforms.\n" +
+            "6. The Global optimizer refines all filters jointly against the chosen loss. It is slower but escapes more local minima than Greedy.\n" +
+            "7. Pick a Device to have AutoEQ fit its band count, shelf slots and step sizes, so the result can be loaded without rounding.\n" +
+            "8. Set Channels to Separate L/R to keep a filter set per channel. AutoEQ then fits each channel, and exports and TotalMix use both sets.\n" +
+            "9. Error Mask regions scale the AutoEQ error by Weight and ignore deviations within ±dB, e.g. weight 0.5 above 8kHz where measurements are less reliable. The mask is saved in exported filters.\n");
     });
     // AutoEQ
     let autoEQFromInput = document.querySelector("div.extra-eq input[name='autoeq-from']");
@@ -4278,6 +5500,161 @@ document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListe
     autoEQGainToInput.value = Equalizer.config.OptimizeGainRange[1].toFixed(0);
     autoEQQFromInput.value = Equalizer.config.OptimizeQRange[0].toFixed(1);
     autoEQQToInput.value = Equalizer.config.OptimizeQRange[1].toFixed(1);
+    // AutoEQ error mask, frequency regions with their own weight and tolerance
+    let autoEQMaskContainer = document.querySelector("div.extra-eq div.autoeq-mask");
+    let autoEQMaskHeader = document.querySelector("div.extra-eq div.mask-header");
+    let autoEQMaskGroup = gr.insert("g", () => gpath.node()).attr("class", "autoeq-mask");
+    let getAutoEQMask = () => Array.from(autoEQMaskContainer.querySelectorAll("div.mask-region")).map(row => {
+        let value = name => parseFloat(row.querySelector(`input[name='${name}']`).value) || 0;
+        let from = Math.min(Math.max(value("mask-from"), 20), 20000);
+        return {
+            from: from,
+            to: Math.min(Math.max(value("mask-to"), from), 20000),
+            weight: Math.max(value("mask-weight"), 0),
+            tolerance: Math.max(value("mask-tolerance"), 0)
+        };
+    });
+    let drawAutoEQMask = (duration) => {
+        // Shade mask regions on the graph, de-emphasised regions are darker
+        let clampX = f => Math.min(Math.max(x(f), pad.l), pad.l + W);
+        let regions = autoEQMaskGroup.selectAll("g").data(getAutoEQMask());
+        regions.exit().remove();
+        let enter = regions.enter().append("g");
+        enter.append("rect").attrs({ y: pad.t, height: H });
+        enter.append("text").attrs({ y: pad.t + 12, "text-anchor": "middle", "font-size": "10px" });
+        regions = enter.merge(regions);
+        let tr = sel => duration ? sel.transition().duration(duration) : sel;
+        tr(regions.select("rect"))
+            .attr("x", r => clampX(r.from))
+            .attr("width", r => clampX(r.to) - clampX(r.from))
+            .attr("fill-opacity", r => 0.06 + 0.14 * (1 - Math.min(r.weight, 1)));
+        tr(regions.select("text"))
+            .attr("x", r => (clampX(r.from) + clampX(r.to)) / 2)
+            .attr("opacity", r => clampX(r.to) - clampX(r.from) > 40 ? 1 : 0);
+        regions.select("text").text(r => "×" + r.weight + (r.tolerance ? " ±" + r.tolerance + "dB" : ""));
+    };
+    let updateAutoEQMask = () => {
+        autoEQMaskHeader.style.display = autoEQMaskContainer.childElementCount ? "" : "none";
+        drawAutoEQMask();
+    };
+    let addMaskRegion = (r) => {
+        let row = document.createElement("div");
+        row.className = "settings-row mask-region";
+        row.innerHTML = `
+            <span><input name="mask-from" type="number" min="20" max="20000" step="1" value="${r.from}"></input></span>
+            <span><input name="mask-to" type="number" min="20" max="20000" step="1" value="${r.to}"></input></span>
+            <span><input name="mask-weight" type="number" min="0" max="10" step="0.1" value="${r.weight}"></input></span>
+            <span><input name="mask-tolerance" type="number" min="0" max="20" step="0.5" value="${r.tolerance}"></input></span>
+            <button class="remove-mask-region">✕</button>`;
+        row.querySelectorAll("input").forEach(el => el.addEventListener("input", updateAutoEQMask));
+        row.querySelector("button").addEventListener("click", () => {
+            row.remove();
+            updateAutoEQMask();
+        });
+        autoEQMaskContainer.appendChild(row);
+    };
+    let setAutoEQMask = (regions) => {
+        autoEQMaskContainer.innerHTML = "";
+        regions.forEach(addMaskRegion);
+        updateAutoEQMask();
+    };
+    document.querySelector("div.extra-eq button.add-mask-region").addEventListener("click", () => {
+        // Coupler resonance makes treble measurements unreliable, start from there
+        addMaskRegion({ from: 8000, to: 20000, weight: 0.5, tolerance: 2 });
+        updateAutoEQMask();
+    });
+    setAutoEQMask(Equalizer.config.AutoEQMask);
+    window.updateAutoEQMask = drawAutoEQMask;
+    // Session: filters of both channels and the phone they are applied to
+    let getEQParent = () => activePhones.filter(
+        p => !p.isPrefBounds && p.brand.name + " " + p.dispName == eqPhoneSelect.value)[0];
+    let restoreEQSession = (state) => {
+        setEQSampleRate(state.sampleRate);
+        eqChannelModeSelect.value = state.separate ? "separate" : "linked";
+        eqEditChannelSelect.value = state.editChannel;
+        eqEditChannelSelect.disabled = !state.separate;
+        setChannelFilters(state.channels);
+        setImportedPreamp(state.preamp, state.channelPreamps);
+        if (state.mask) setAutoEQMask(state.mask);
+        updateEQPhoneSelect();
+        eqPhoneSelect.value = state.phone;
+        // Run now instead of debounced, the EQ phone's settings are restored on it
+        applyEQExec();
+        let parent = getEQParent();
+        if (parent && parent.eq && state.eqPhone) {
+            Object.assign(parent.eq, state.eqPhone);
+            table.selectAll("tr").filter(q=>q===parent.eq)
+                .select("td.levels input").property("value", parent.eq.offset);
+            colorPhones();
+        }
+        // Overlays are listed as [phone, profile name], profiles deleted since are skipped
+        activePhones.filter(p => p.eqProfile).forEach(removePhone);
+        (state.overlays || []).forEach(([phone, name]) => {
+            let overlayParent = activePhones.find(p => !p.isPrefBounds && p.brand.name + " " + p.dispName == phone),
+                profile = (eqProfiles[phone] || []).find(p => p.name === name);
+            if (overlayParent && profile) showEQOverlay(overlayParent, profile);
+        });
+        eqProfilesPhone = state.phone;
+        eqSlots = state.slots ? state.slots.slice() : [null, null];
+        eqActiveSlot = state.slots ? state.activeSlot : null;
+        renderEQProfiles();
+    };
+    extraEQEnabled && Session.register("eq", {
+        capture: () => {
+            let eqPhone = getEQParent() && getEQParent().eq;
+            return {
+                phone: eqPhoneSelect.value,
+                separate: isSeparateEQ(),
+                editChannel: editChannel(),
+                channels: getChannelFilters(true),
+                sampleRate: Equalizer.config.DefaultSampleRate,
+                preamp: importedAPO.preamp,
+                channelPreamps: importedAPO.channelPreamps,
+                mask: getAutoEQMask(),
+                eqPhone: eqPhone && eqPhone.active ? { offset: eqPhone.offset, hexColor: eqPhone.hexColor,
+                    dashStyle: eqPhone.dashStyle } : null,
+                overlays: activePhones.filter(p => p.eqProfile)
+                    .map(p => [p.eqParent.brand.name + " " + p.eqParent.dispName, p.eqProfile]),
+                slots: eqSlots.slice(),
+                activeSlot: eqActiveSlot
+            };
+        },
+        restore: restoreEQSession,
+        // Share links carry effective filters as [type, freq, q, gain], [L, R] when separate
+        captureShare: () => {
+            let filtersLR = getChannelFilters();
+            if (!filtersLR[0].length && !filtersLR[1].length) return undefined;
+            let eqPhone = getEQParent() && getEQParent().eq;
+            let pack = filters => filters.map(f => [f.type, f.freq, f.q, f.gain]);
+            return {
+                p: eqPhoneSelect.value,
+                f: isSeparateEQ() ? filtersLR.map(pack) : pack(filtersLR[0]),
+                m: isSeparateEQ() ? 1 : 0,
+                a: importedAPO.preamp,
+                c: importedAPO.channelPreamps.length ? importedAPO.channelPreamps : undefined,
+                r: Equalizer.config.DefaultSampleRate,
+                o: eqPhone && eqPhone.offset ? eqPhone.offset : undefined
+            };
+        },
+        restoreShare: (share) => {
+            let unpack = filters => filters.map(([type, freq, q, gain]) => ({ disabled: false, type, freq, q, gain }));
+            let filters = share.m ? share.f.map(unpack) : [unpack(share.f), unpack(share.f)];
+            restoreEQSession({
+                phone: share.p, separate: !!share.m, editChannel: 0, channels: filters,
+                sampleRate: share.r, preamp: share.a, channelPreamps: share.c, eqPhone: share.o ? { offset: share.o } : null
+            });
+        }
+    });
+    let autoEQOptimizerSelect = document.querySelector("div.extra-eq select[name='autoeq-optimizer']");
+    let autoEQLossSelect = document.querySelector("div.extra-eq select[name='autoeq-loss']");
+    let autoEQResult = document.querySelector("div.extra-eq small.autoeq-result");
+    autoEQLossSelect.value = Equalizer.config.OptimizeLoss;
+    let autoEQDeviceSelect = document.querySelector("div.extra-eq select[name='autoeq-device']");
+    autoEQDeviceSelect.innerHTML = DeviceProfiles.list().map(d =>
+        `<option value="${d.id}">${d.name}</option>`).join("");
+    autoEQDeviceSelect.value = "custom";
+    let getAutoEQTarget = (phoneObj) => (activePhones.filter(p => p.isTarget)[0] ||
+        activePhones.filter(p => p !== phoneObj && !p.isTarget)[0]);
     document.querySelector("div.extra-eq button.autoeq").addEventListener("click", () => {
         // Generate filters automatically
         let phoneSelected = eqPhoneSelect.value;
@@ -4289,8 +5666,7 @@ document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListe
         }
         let phoneObj = phoneSelected && activePhones.filter(
             p => !p.isPrefBounds && p.brand.name + " " + p.dispName == phoneSelected)[0];
-        let targetObj = (activePhones.filter(p => p.isTarget)[0] ||
-            activePhones.filter(p => p !== phoneObj && !p.isTarget)[0]);
+        let targetObj = getAutoEQTarget(phoneObj);
         if (!phoneObj || !targetObj) {
             alert("Please select model and target, if there are no targets and multiple models are displayed then the second one will be selected as target.");
             return;
@@ -4307,23 +5683,52 @@ document.querySelector("div.extra-eq button.export-filters-tmreq").addEventListe
             let autoEQQFrom = Math.min(Math.max(parseFloat(autoEQQFromInput.value) || 0, 0.1), 5);
             let autoEQQTo = Math.min(Math.max(parseFloat(autoEQQToInput.value) || 0, autoEQQFrom), 5);
             Equalizer.config.OptimizeQRange = [autoEQQFrom, autoEQQTo];
-            let phoneCHs = (phoneObj.rawChannels.filter(c => c)
-                .map(ch => ch.map(([f, v]) => [f, v + phoneObj.norm])));
+            Equalizer.config.AutoEQMask = getAutoEQMask();
+            // Filters are replaced, the imported preamps no longer apply
+            setImportedPreamp(null);
+            let rawCHs = phoneObj.rawChannels.map(ch => ch && ch.map(([f, v]) => [f, v + phoneObj.norm]));
+            let phoneCHs = rawCHs.filter(c => c);
             let phoneCH = (phoneCHs.length > 1) ? avgCurves(phoneCHs) : phoneCHs[0];
             let targetCH = targetObj.rawChannels.filter(c => c)[0].map(([f, v]) => [f, v + targetObj.norm]);
-            let filters = Equalizer.autoeq(phoneCH, targetCH, eqBands);
-            filtersToElem(filters);
+            let loss = autoEQLossSelect.value;
+            let fit = (phoneCH) => {
+                // Only produce filters the selected device can load
+                let profile = DeviceProfiles.get(autoEQDeviceSelect.value);
+                let device = { ...profile, slots: DeviceProfiles.getSlots(profile, eqBands) };
+                return Equalizer.autoeq_device(phoneCH, targetCH, device, autoEQOptimizerSelect.value, loss);
+            };
+            let describe = (phoneCH, filters) => {
+                let error = Equalizer.calc_loss(Equalizer.apply(phoneCH, filters), targetCH, loss);
+                return (loss === "preference") ?
+                    "Preference score: " + (-error).toFixed(1) :
+                    "Final error (" + autoEQLossSelect.selectedOptions[0].textContent + "): " + error.toFixed(2) + " dB";
+            };
+            if (isSeparateEQ()) {
+                // Fit each channel on its own so imbalance between them is corrected as well
+                let sides = channelSides(phoneObj);
+                let sideCHs = [0, 1].map(side => {
+                    let chs = rawCHs.filter((c, i) => c && sides[i] === side);
+                    return chs.length ? (chs.length > 1 ? avgCurves(chs) : chs[0]) : phoneCH;
+                });
+                let filtersLR = sideCHs.map(fit);
+                autoEQResult.textContent = ["L", "R"].map((c, i) =>
+                    c + " " + describe(sideCHs[i], filtersLR[i])).join("; ");
+                setChannelFilters(filtersLR);
+            } else {
+                let filters = fit(phoneCH);
+                autoEQResult.textContent = describe(phoneCH, filters);
+                filtersToElem(filters);
+            }
             applyEQ();
+            UndoHistory.commit();
             autoEQOverlay.style.display = "none";
         }, 100);
     });
 
 //* Pre amp Calc display *//
 function updatePreampDisplay() {
-    let phoneSelected = eqPhoneSelect.value;
-    let phoneObj = phoneSelected && activePhones.filter(
-        p => !p.isPrefBounds && p.brand.name + " " + p.dispName == phoneSelected && p.eq)[0];
     let preampDisplay = document.getElementById("preamp-disp");
+    let headroom = analyzeEQHeadroom();
 
     if (preampDisplay) {
         // Create a flex container for both displays if it doesn't exist
@@ -4338,16 +5743,9 @@ function updatePreampDisplay() {
         // Clear existing content
         preampDisplay.innerHTML = '';
 
-        // Add preamp value (left-aligned) only if we have an active EQ
+        // Add preamp value (left-aligned), from the peak of the combined filters
         let preampValue = document.createElement('span');
-        if (phoneObj) {
-            let preamp = Equalizer.calc_preamp(
-                phoneObj.rawChannels.filter(c => c)[0],
-                phoneObj.eq.rawChannels.filter(c => c)[0]);
-            preampValue.innerText = "Pre-amp: " + preamp.toFixed(1) + " dB";
-        } else {
-            preampValue.innerText = "Pre-amp: 0.0 dB";
-        }
+        preampValue.innerText = "Pre-amp: " + headroom.preamp.toFixed(1) + " dB";
         preampDisplay.appendChild(preampValue);
 
         // Add bands count (right-aligned) - always show this
@@ -4355,6 +5753,25 @@ function updatePreampDisplay() {
         bandsCount.innerText = "Bands: " + eqBands;
         preampDisplay.appendChild(bandsCount);
     }
+    updateHeadroomReport(headroom);
+}
+
+function updateHeadroomReport(headroom) {
+    // Peak, loudness and per-band contribution to the peak
+    let report = document.querySelector("div.extra-eq details.headroom-report");
+    let content = report.querySelector("div.headroom-content");
+    report.style.display = headroom.bands.length ? "" : "none";
+    let fmt = v => (v >= 0 ? "+" : "") + v.toFixed(1);
+    let freq = f => f >= 1000 ? (f / 1000).toFixed(2) + " kHz" : f.toFixed(0) + " Hz";
+    let rows = headroom.bands
+        .sort((a, b) => b.atPeak - a.atPeak)
+        .map(b => `<tr><td>${b.index + 1}</td><td>${b.filter.type}</td><td>${b.filter.freq}</td>` +
+            `<td>${fmt(b.atPeak)}</td><td>${fmt(b.maxBoost)}</td></tr>`).join("");
+    content.innerHTML =
+        `<div>Peak ${fmt(headroom.peakGain)} dB @ ${freq(headroom.peakFreq)}` +
+        (headroom.channel ? ` (${headroom.channel})` : "") + `</div>` +
+        `<div>Loudness after pre-amp ${fmt(headroom.loudness)} dB (K-weighted pink noise)</div>` +
+        `<table><tr><th>#</th><th>Type</th><th>Freq</th><th>At peak</th><th>Max boost</th></tr>${rows}</table>`;
 }
 
     
@@ -4492,7 +5909,16 @@ function updatePreampDisplay() {
             nodes.push(merger);
         }
         
-        filters.forEach(filterInfo => {
+        // Butterworth filters are expanded to their cascaded biquad sections
+        Equalizer.as_biquads(filters).forEach(filterInfo => {
+            if (filterInfo.type == "LS6" || filterInfo.type == "HS6") {
+                // First-order shelves have no BiquadFilterNode type, use their coefficients directly
+                const [a0, a1, a2, b0, b1, b2] = Equalizer.filters_to_coeffs([filterInfo], audioContext.sampleRate)[0];
+                const iir = audioContext.createIIRFilter([b0, b1, b2], [a0, a1, a2]);
+                nodes[nodes.length - 1].connect(iir);
+                nodes.push(iir);
+                return;
+            }
             const filter = audioContext.createBiquadFilter();
             let type;
             if (filterInfo.type == "PK") {
@@ -4501,10 +5927,22 @@ function updatePreampDisplay() {
                 type = "lowshelf";
             } else if (filterInfo.type == "HSQ") {
                 type = "highshelf";
+            } else if (filterInfo.type == "LPQ") {
+                type = "lowpass";
+            } else if (filterInfo.type == "HPQ") {
+                type = "highpass";
+            } else if (filterInfo.type == "BP") {
+                type = "bandpass";
+            } else if (filterInfo.type == "NO") {
+                type = "notch";
+            } else if (filterInfo.type == "AP") {
+                type = "allpass";
             }
             filter.type = type;
             filter.frequency.value = filterInfo.freq;
-            filter.Q.value = filterInfo.q;
+            // Web Audio takes the resonance of lowpass/highpass in dB
+            filter.Q.value = (type == "lowpass" || type == "highpass") ?
+                20 * Math.log10(filterInfo.q) : filterInfo.q;
             filter.gain.value = filterInfo.gain;
             
             nodes[nodes.length - 1].connect(filter);
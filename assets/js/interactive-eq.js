@@ -31,7 +31,7 @@ const InteractiveEQ = (function() {
     let scales = null;      // { x, y }
     let svg = null;         // { gr, gpath, line }
     let geometry = null;    // { pad, W, H }
-    let callbacks = null;   // { getActivePhones, getBaseline, ... }
+    let callbacks = null;   // { getActivePhones, getBaseline, ..., endEdit } endEdit is optional
     let Equalizer = null;
 
     // SVG elements created by this module
@@ -46,7 +46,11 @@ const InteractiveEQ = (function() {
     const handleColors = ["#e74c3c","#3498db","#2ecc71","#f39c12","#9b59b6","#1abc9c","#e67e22","#34495e","#e91e63","#00bcd4"];
 
     function getFilterColor(i) { return handleColors[i % handleColors.length]; }
-    function getTypeLabel(t) { return t === "LSQ" ? "L" : t === "HSQ" ? "H" : "P"; }
+    const typeLabels = { LSQ: "L", HSQ: "H", LS6: "L", HS6: "H", LS12: "L", HS12: "H", HPQ: "HP", LPQ: "LP", HP: "HP", LP: "LP", HP24: "HP", LP24: "LP", NO: "N", BP: "B", AP: "A" };
+
+    function getTypeLabel(t) { return typeLabels[t] || "P"; }
+    // Pass, notch and all-pass filters sit on the curve, their gain input is ignored
+    function getHandleGain(d) { return Equalizer.uses_gain(d.type) ? (d.gain || 0) : 0; }
 
     function qToRadius(q) {
         let minR = 12, maxR = 28;
@@ -180,6 +184,11 @@ const InteractiveEQ = (function() {
     // ===========================================
     // Handle Drag Interactions
     // ===========================================
+    function endEdit() {
+        // A drag or another edit has ended, e.g. to make it one undo step
+        if (callbacks.endEdit) callbacks.endEdit();
+    }
+
     function bindHandleEvents(sel) {
         let filterInputs = callbacks.getFilterInputs();
 
@@ -241,8 +250,13 @@ const InteractiveEQ = (function() {
                     newGain = Math.max(-40, Math.min(40, newGain));
 
                     filterInputs = callbacks.getFilterInputs();
+                    let hasGain = Equalizer.uses_gain(filterInputs.type[filterIndex].value);
+                    if (!hasGain) {
+                        // Only the frequency of gainless filters can be dragged
+                        targetY -= newGain;
+                    }
                     if (filterInputs.freq[filterIndex]) filterInputs.freq[filterIndex].value = newFreq;
-                    if (filterInputs.gain[filterIndex]) filterInputs.gain[filterIndex].value = newGain;
+                    if (hasGain && filterInputs.gain[filterIndex]) filterInputs.gain[filterIndex].value = newGain;
 
                     let px = scales.x(newFreq);
                     let py = scales.y(targetY);
@@ -265,6 +279,7 @@ const InteractiveEQ = (function() {
                 };
                 if (moved) {
                     callbacks.applyEQ();
+                    endEdit();
                 }
                 if (document.activeElement) document.activeElement.blur();
                 restoreScroll();
@@ -292,23 +307,22 @@ const InteractiveEQ = (function() {
             if (!enabled) return;
             let idx = d.filterIndex;
             filterInputs = callbacks.getFilterInputs();
-            const types = ["PK", "LSQ", "HSQ"];
+            const types = ["PK", "LSQ", "HSQ", "LS6", "HS6", "LS12", "HS12", "HPQ", "LPQ", "HP", "LP", "HP24", "LP24", "NO", "BP", "AP"];
+            // Shelves and resonant pass filters default to Q 0.71, the others to 1.0
+            const defaultQ = t => ["LSQ", "HSQ", "HPQ", "LPQ"].includes(t) ? 0.71 : 1.0;
             let curType = filterInputs.type[idx].value;
             let curQ = parseFloat(filterInputs.q[idx].value) || 1;
             let cur = types.indexOf(curType);
-            let newType = types[(cur + 1) % 3];
+            let newType = types[(cur + 1) % types.length];
             filterInputs.type[idx].value = newType;
 
             // Auto-adjust Q when switching between PK and shelf filters (only if Q was never manually changed)
-            if (!qManuallyModified.has(idx)) {
-                if (curType === "PK" && (newType === "LSQ" || newType === "HSQ") && curQ === 1.0) {
-                    filterInputs.q[idx].value = 0.71;
-                } else if ((curType === "LSQ" || curType === "HSQ") && newType === "PK" && curQ === 0.71) {
-                    filterInputs.q[idx].value = 1.0;
-                }
+            if (!qManuallyModified.has(idx) && curQ === defaultQ(curType)) {
+                filterInputs.q[idx].value = defaultQ(newType);
             }
 
             callbacks.applyEQ();
+            endEdit();
         }
 
         sel.on("mousedown", function(d) {
@@ -344,6 +358,7 @@ const InteractiveEQ = (function() {
             d3.event.stopPropagation();
             let idx = d.filterIndex;
             filterInputs = callbacks.getFilterInputs();
+            if (!Equalizer.uses_q(filterInputs.type[idx].value)) return;
             let q = parseFloat(filterInputs.q[idx].value) || 1;
             let step, precision;
             if (d3.event.shiftKey) {
@@ -379,7 +394,7 @@ const InteractiveEQ = (function() {
             .attr("transform", d => {
                 let px = scales.x(Math.max(20, Math.min(20000, d.freq)));
                 let curveY = samplePhoneCurveAt(phoneObj, d.freq);
-                let py = curveY !== null ? scales.y(curveY + (d.gain || 0) + eqOffsetDiff) : scales.y(scales.y.domain().reduce((a,b)=>a+b)/2 + (d.gain||0));
+                let py = curveY !== null ? scales.y(curveY + getHandleGain(d) + eqOffsetDiff) : scales.y(scales.y.domain().reduce((a,b)=>a+b)/2 + getHandleGain(d));
                 return `translate(${px},${py})`;
             });
     }
@@ -515,6 +530,7 @@ const InteractiveEQ = (function() {
             callbacks.setFilters(filters);
             callbacks.applyEQ();
             callbacks.updatePreampDisplay();
+            endEdit();
 
             // Update qManuallyModified set: remove idx and shift higher indices down
             qManuallyModified.delete(idx);
@@ -675,6 +691,7 @@ const InteractiveEQ = (function() {
                     let scrollX = window.scrollX, scrollY = window.scrollY;
                     let restoreScroll = () => window.scrollTo(scrollX, scrollY);
                     callbacks.applyEQ();
+                    endEdit();
                     if (document.activeElement) document.activeElement.blur();
                     restoreScroll();
                     requestAnimationFrame(restoreScroll);
@@ -696,7 +713,7 @@ const InteractiveEQ = (function() {
         all.attr("transform", d => {
             let px = scales.x(Math.max(20, Math.min(20000, d.freq)));
             let curveY = samplePhoneCurveAt(phoneObj, d.freq);
-            let py = curveY !== null ? scales.y(curveY + (d.gain || 0) + eqOffsetDiff) : scales.y(scales.y.domain().reduce((a,b)=>a+b)/2 + (d.gain||0));
+            let py = curveY !== null ? scales.y(curveY + getHandleGain(d) + eqOffsetDiff) : scales.y(scales.y.domain().reduce((a,b)=>a+b)/2 + getHandleGain(d));
             return `translate(${px},${py})`;
         }).classed("disabled", d => d.disabled);
 
@@ -728,6 +745,9 @@ const InteractiveEQ = (function() {
             h.select("circle.whisker-right")
                 .attr("cx", pxHigh).attr("cy", 0)
                 .attr("fill", col).attr("stroke", "none");
+            // Butterworth filters and fixed-slope shelves have no Q
+            h.selectAll(".whisker, .whisker-left, .whisker-right")
+                .style("display", Equalizer.uses_q(d.type) ? null : "none");
 
             h.select(".delete-btn circle.delete-border").attr("stroke", col);
         });
@@ -1006,6 +1026,7 @@ const InteractiveEQ = (function() {
         disable: disable,
         updateHandles: updateEQHandles,
         transitionHandles: transitionEQHandles,
+        getFilterColor: getFilterColor,
         isEnabled: function() { return enabled; },
         destroy: function() {
             if (initialized) {
@@ -0,0 +1,187 @@
+/**
+ * Phase Graph Module
+ * Plots phase or group delay of the current EQ filters, per filter and combined,
+ * in a pane under the frequency response graph sharing its log frequency scale.
+ *
+ * Usage:
+ *   PhaseGraph.init({ scales, svg, geometry, callbacks, Equalizer });
+ *   PhaseGraph.setMode("phase" | "delay" | null);
+ *   PhaseGraph.update();
+ *   PhaseGraph.transition(duration);
+ */
+const PhaseGraph = (function() {
+    'use strict';
+
+    // ===========================================
+    // Module State
+    // ===========================================
+    let initialized = false;
+    let mode = null;        // "phase", "delay" or null when hidden
+    let series = [];        // [{ filterIndex, values, combined }]
+
+    // Injected dependencies
+    let scales = null;      // { x }
+    let svg = null;         // { pg } phase graph svg selection
+    let geometry = null;    // { pad, W, H }
+    let callbacks = null;   // { getFilters, getFilterColor }
+    let Equalizer = null;
+
+    // SVG elements created by this module
+    let y = null;
+    let yAxisObj = null;
+    let xAxisObj = null;
+    let pathsGroup = null;
+    let titleText = null;
+
+    // ===========================================
+    // Constants
+    // ===========================================
+    // 1/24 octave from 20 Hz to 20 kHz
+    const freqs = d3.range(Math.ceil(24 * Math.log2(1000)) + 1).map(i => 20 * Math.pow(2, i / 24));
+    const modeInfo = {
+        phase: { title: "Phase (°)", minSpan: [-90, 90], step: 45 },
+        delay: { title: "Group delay (ms)", minSpan: [-0.5, 0.5], step: 0.5 }
+    };
+
+    // ===========================================
+    // Calculation
+    // ===========================================
+    function calculate() {
+        let sampleRate = Equalizer.config.DefaultSampleRate;
+        let calc = mode === "phase" ? Equalizer.calc_phases : Equalizer.calc_group_delays;
+        let filters = callbacks.getFilters()
+            .map((f, i) => ({ ...f, filterIndex: i }))
+            .filter(f => !f.disabled && Equalizer.is_effective(f));
+
+        series = filters.map(f => ({
+            filterIndex: f.filterIndex,
+            values: calc(freqs, Equalizer.filters_to_coeffs([f], sampleRate), sampleRate),
+            combined: false
+        }));
+        if (filters.length) {
+            series.push({
+                filterIndex: -1,
+                values: calc(freqs, Equalizer.filters_to_coeffs(filters, sampleRate), sampleRate),
+                combined: true
+            });
+        }
+    }
+
+    function updateDomain() {
+        let info = modeInfo[mode];
+        let all = d3.merge(series.map(s => s.values));
+        let lo = Math.min(info.minSpan[0], d3.min(all) || 0);
+        let hi = Math.max(info.minSpan[1], d3.max(all) || 0);
+        y.domain([Math.floor(lo / info.step) * info.step, Math.ceil(hi / info.step) * info.step]);
+    }
+
+    // ===========================================
+    // Drawing
+    // ===========================================
+    function drawLine(s) {
+        return d3.line()
+            .x((_, i) => scales.x(freqs[i]))
+            .y(v => y(v))
+            .defined((_, i) => freqs[i] >= scales.x.domain()[0] && freqs[i] <= scales.x.domain()[1])
+            (s.values);
+    }
+
+    function drawAxes(duration) {
+        let { pad, W } = geometry;
+        let yAxis = d3.axisLeft(y).tickSize(W).tickSizeOuter(0).ticks(5);
+        (duration ? yAxisObj.transition().duration(duration) : yAxisObj).call(yAxis);
+        yAxisObj.select(".domain").remove();
+        yAxisObj.selectAll(".tick line").attr("stroke-width", 0.3);
+        yAxisObj.selectAll(".tick text").attr("text-anchor", "start").attr("x", -W + 3).attr("dy", -2);
+
+        let xAxis = d3.axisBottom(scales.x).tickSize(0).tickSizeOuter(0)
+            .tickValues([20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000]
+                .filter(f => f >= scales.x.domain()[0] && f <= scales.x.domain()[1]))
+            .tickFormat(f => f >= 1000 ? (f / 1000) + "k" : f);
+        (duration ? xAxisObj.transition().duration(duration) : xAxisObj).call(xAxis);
+        xAxisObj.select(".domain").remove();
+        titleText.text(modeInfo[mode].title).attr("x", pad.l + 3);
+    }
+
+    function draw(duration) {
+        let paths = pathsGroup.selectAll("path").data(series, s => s.filterIndex);
+        paths.exit().remove();
+        paths.enter().append("path")
+            .attr("fill", "none")
+            .merge(paths)
+            .attr("class", s => s.combined ? "combined" : "filter")
+            .attr("stroke", s => s.combined ? "currentColor" : callbacks.getFilterColor(s.filterIndex))
+            .attr("stroke-width", s => s.combined ? 2 : 1)
+            .attr("opacity", s => s.combined ? 1 : 0.6)
+            .transition().duration(duration || 0)
+            .attr("d", drawLine);
+        drawAxes(duration);
+    }
+
+    // ===========================================
+    // Public Functions
+    // ===========================================
+    function update() {
+        if (!initialized || !mode) return;
+        calculate();
+        updateDomain();
+        draw();
+    }
+
+    function transition(duration) {
+        // Follow zoom changes of the frequency response graph
+        if (!initialized || !mode) return;
+        draw(duration);
+    }
+
+    function setMode(newMode) {
+        if (!initialized) return;
+        mode = modeInfo[newMode] ? newMode : null;
+        svg.pg.style("display", mode ? null : "none");
+        update();
+    }
+
+    // ===========================================
+    // Initialization
+    // ===========================================
+    function init(options) {
+        if (initialized) return publicAPI;
+
+        scales = options.scales;
+        svg = options.svg;
+        geometry = options.geometry;
+        callbacks = options.callbacks;
+        Equalizer = options.Equalizer;
+
+        let { pad, W, H } = geometry;
+        y = d3.scaleLinear().range([pad.t + H, pad.t]);
+        yAxisObj = svg.pg.append("g").attr("class", "phase-y-axis")
+            .attr("transform", "translate(" + (pad.l + W) + ",0)");
+        xAxisObj = svg.pg.append("g").attr("class", "phase-x-axis")
+            .attr("transform", "translate(0," + (pad.t + H + 12) + ")");
+        titleText = svg.pg.append("text").attr("class", "phase-title")
+            .attr("y", pad.t - 3).attr("fill", "currentColor").attr("font-size", "11px");
+        pathsGroup = svg.pg.append("g").attr("class", "phase-paths");
+
+        initialized = true;
+        return publicAPI;
+    }
+
+    // ===========================================
+    // Public API
+    // ===========================================
+    const publicAPI = {
+        init: init,
+        setMode: setMode,
+        update: update,
+        transition: transition,
+        getMode: function() { return mode; }
+    };
+
+    return publicAPI;
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhaseGraph;
+}
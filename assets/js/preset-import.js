@@ -0,0 +1,468 @@
+/**
+ * Preset Import Module
+ * Sniffs the format of an EQ preset and converts it to filters: Equalizer APO / AutoEq
+ * ParametricEQ.txt, REW filter settings, Wavelet / AutoEq / JamesDSP GraphicEQ, JamesDSP
+ * multimodal equalizer, AutoEq CSV, Poweramp JSON, EasyEffects JSON and RME TotalMix Room EQ
+ * (.tmreq) / PEQ (.tmeq) presets.
+ *
+ * Result shape:
+ *   {
+ *     format,                 // Detected format name
+ *     filters,                // [{ disabled, type, freq, q, gain }], null for graphic only presets
+ *     channels,               // [L filters, R filters] when the preset has separate channels
+ *     graphicEQ,              // [[freq, gain]] for graphic only presets, fit with fitGraphicEQ
+ *     preamp,                 // dB for all channels or null
+ *     channelPreamps,         // [{ gain, channel, sides }] dB of Preamp lines in a Channel: block,
+ *                             // added to preamp for the sides, [0] L and [1] R, the block applies to
+ *     comments,               // [{ line, channel }] comment lines to write back on export
+ *     includes,               // [{ line, channel }] Include directives to write back on export,
+ *                             // files are not loaded. channel is the Channel: scope of the line,
+ *                             // "L", "R", the names as written, or null for all channels
+ *     warnings                // Messages about skipped content
+ *   }
+ *
+ * Usage:
+ *   PresetImport.init({ Equalizer });
+ *   let preset = PresetImport.parse(text, fileName);
+ *   let filters = preset.filters || PresetImport.fitGraphicEQ(preset.graphicEQ, maxFilters).filters;
+ *   // fitGraphicEQ returns { filters, error: { max, rms } }, error in dB
+ *   let pair = PresetImport.combine([tmreqPreset, tmeqPreset]);
+ */
+const PresetImport = (function() {
+    'use strict';
+
+    // ===========================================
+    // Module State
+    // ===========================================
+    let initialized = false;
+    let Equalizer = null;
+
+    // ===========================================
+    // Constants
+    // ===========================================
+    // Poweramp band types, other types are not exported by AutoEq
+    const powerampTypes = { 1: "LSQ", 2: "HSQ", 3: "PK" };
+    const easyEffectsTypes = {
+        "Bell": "PK", "Lo-shelf": "LSQ", "Hi-shelf": "HSQ", "Lo-pass": "LPQ", "Hi-pass": "HPQ",
+        "Notch": "NO", "Bandpass": "BP", "Allpass": "AP"
+    };
+    // TotalMix band types of the bands which can switch from peak, by the band's position
+    const totalMixTypes = { low: ["PK", "LSQ", "HPQ"], high: ["PK", "HSQ", "LPQ"] };
+    // Columns of AutoEq CSV results which hold an equalization curve, best first
+    const autoEqColumns = ["parametric_eq", "equalization", "fixed_band_eq"];
+
+    // ===========================================
+    // Helpers
+    // ===========================================
+    function result(format, fields) {
+        return { format, filters: null, channels: null, graphicEQ: null, preamp: null,
+            channelPreamps: [], comments: [], includes: [], warnings: [], ...fields };
+    }
+
+    function removeEmptyTail(filters) {
+        while (filters.length > 0) {
+            let lastFilter = filters[filters.length-1];
+            if (!lastFilter.freq && !lastFilter.q && !lastFilter.gain) {
+                filters.pop();
+            } else {
+                break;
+            }
+        }
+        return filters;
+    }
+
+    function bandwidthToQ(octaves) {
+        // Q of a filter with bandwidth in octaves
+        let n = Math.pow(2, octaves);
+        return Math.sqrt(n) / (n - 1);
+    }
+
+    function slopeToQ(slope, gain) {
+        // Q of a shelf with slope in dB/oct, cookbook shelf slope S = slope / 12
+        let a = Math.pow(10, gain / 40);
+        let s = slope / 12;
+        return 1 / Math.sqrt(Math.max((a + 1 / a) * (1 / s - 1) + 2, 1e-4));
+    }
+
+    function sameFilters(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // ===========================================
+    // Text Formats
+    // ===========================================
+    function parseAPOFilter(l) {
+        // REW may give the bandwidth in octaves instead of Q
+        l = l.replace(/BW\s*Oct\s*(\S+)/, (_, bw) => "Q " + bandwidthToQ(parseFloat(bw)));
+        let r = l.match(/Filter\s*\d*:\s*(\S+)\s*(\S+)(\s+([\d.]+)\s*dB)?\s*Fc\s*(\S+)\s*Hz(\s*Gain\s*(\S+)\s*dB)?(\s*Q\s*(\S+))?/);
+        if (!r) { return undefined; }
+        let disabled = (r[1] !== "ON");
+        let type = r[2];
+        let slope = parseFloat(r[4]) || 0;
+        let freq = Math.round(parseFloat(r[5])) || 0;
+        let gain = parseFloat(r[7]) || 0;
+        let q = parseFloat(r[9]) || 0;
+        if ((type === "LS" || type === "HS") && (slope === 6 || slope === 12)) {
+            // Fixed slope shelves, e.g. "LS 6dB" or "HS 12dB"
+            type += slope;
+        } else if (type.match(/^(LS|HS)C?$/)) {
+            // Equalizer APO use LSC/HSC instead of LSQ/HSQ, with Q or slope in dB/oct
+            type = type.substr(0, 2) + "Q";
+            q = q || (slope ? slopeToQ(slope, gain) : 0.707);
+        } else if (type === "NO") {
+            // Equalizer APO notch without Q has a fixed bandwidth
+            q = q || 30;
+        } else if (type === "BP" || type === "AP") {
+            q = q || 0.707;
+        }
+        return { disabled, type, freq, q, gain };
+    }
+
+    function parseAPO(text, format) {
+        // Equalizer APO config.txt, AutoEq ParametricEQ.txt and REW use "Filter N: ON PK Fc ..." lines
+        // Channel: scopes the following lines, filters for other than L and R are skipped
+        let channels = [[], []];
+        let preamp = null;
+        let channelPreamps = [];
+        let scope = [0, 1];
+        let channel = null;
+        let comments = [], includes = [], warnings = [];
+        text.split(/\r?\n/).forEach(l => {
+            let line = l.trim();
+            let directive = line.match(/^([A-Za-z]+)\s*\d*:\s*(.*)$/);
+            if (line.startsWith("#")) {
+                // Sample rate and mask are read by the EQ panel and written again on export
+                if (!line.match(/^#\s*(Sample rate|AutoEQ mask):/i)) {
+                    comments.push({ line, channel });
+                }
+            } else if (!directive) {
+                return;
+            } else if (directive[1] === "Preamp") {
+                // Kept per Channel: block, so each channel gets the same gain again on export
+                let gain = parseFloat(directive[2]) || 0;
+                let block = channelPreamps.find(p => p.channel === channel);
+                if (channel === null) {
+                    preamp = (preamp || 0) + gain;
+                } else if (block) {
+                    block.gain += gain;
+                } else {
+                    channelPreamps.push({ gain, channel, sides: scope });
+                }
+            } else if (directive[1] === "Channel") {
+                let names = directive[2].trim().split(/[\s,]+/);
+                if (names.some(n => n.toLowerCase() === "all")) {
+                    scope = [0, 1];
+                    channel = null;
+                } else {
+                    scope = [["L", "1"], ["R", "2"]].map((ids, c) => names.some(n => ids.includes(n.toUpperCase())) ? c : -1)
+                        .filter(c => c >= 0);
+                    channel = (names.length === 1 && scope.length === 1) ? ["L", "R"][scope[0]] : names.join(" ");
+                }
+            } else if (directive[1] === "Include") {
+                includes.push({ line, channel });
+                warnings.push("Included file is not loaded: " + directive[2]);
+            } else if (directive[1] === "Filter") {
+                let f = parseAPOFilter(line);
+                if (!f) { return; }
+                if (!scope.length) {
+                    warnings.push("Skipped filter for channels other than L and R: " + line);
+                }
+                scope.forEach(c => channels[c].push({ ...f }));
+            } else if (!["Device", "Stage"].includes(directive[1]) || !line.match(/all$/i)) {
+                warnings.push("Skipped unsupported line: " + line);
+            }
+        });
+        channels = channels.map(removeEmptyTail);
+        return result(format, {
+            filters: channels[0].length ? channels[0] : channels[1],
+            channels: sameFilters(channels[0], channels[1]) ? null : channels,
+            preamp,
+            channelPreamps,
+            comments,
+            includes,
+            warnings
+        });
+    }
+
+    function parseGraphicEQ(text) {
+        // "GraphicEQ: 20 -1.2; 21 -1.1; ..."
+        let line = text.match(/^\s*GraphicEQ:\s*(.*)$/m)[1];
+        let points = line.split(";").map(p => p.trim().split(/\s+/).map(parseFloat))
+            .filter(p => p.length === 2 && p.every(v => !isNaN(v)));
+        return result("GraphicEQ", { graphicEQ: points });
+    }
+
+    function parseJamesDSP(text) {
+        // Multimodal equalizer: 15 frequencies followed by 15 gains
+        let values = text.trim().split(/\s*;\s*/).map(parseFloat);
+        let half = values.length / 2;
+        let points = values.slice(0, half).map((f, i) => [f, values[half + i]]);
+        return result("JamesDSP", { graphicEQ: points });
+    }
+
+    function parseCSV(text) {
+        let rows = text.trim().split(/\r?\n/).map(l => l.split(",").map(c => c.trim()));
+        let header = rows[0].map(h => h.toLowerCase());
+        let column = names => header.findIndex(h => names.includes(h));
+        let freqColumn = column(["frequency", "freq", "fc"]);
+        if (freqColumn < 0) {
+            throw new Error("CSV has no frequency column");
+        }
+        let typeColumn = column(["type", "filter"]);
+        let gainColumn = column(["gain"]);
+        let qColumn = column(["q"]);
+        if (typeColumn >= 0 && gainColumn >= 0 && qColumn >= 0) {
+            // One filter per row
+            let filters = rows.slice(1).map(r => ({
+                disabled: false,
+                type: r[typeColumn].toUpperCase().replace(/^(L|H)SC$/, "$1SQ"),
+                freq: Math.round(parseFloat(r[freqColumn])) || 0,
+                q: parseFloat(r[qColumn]) || 0,
+                gain: parseFloat(r[gainColumn]) || 0
+            }));
+            return result("CSV", { filters: removeEmptyTail(filters) });
+        }
+        // AutoEq results, one frequency per row with the equalization curve in a column
+        let curveColumn = autoEqColumns.map(c => header.indexOf(c)).filter(i => i >= 0)[0];
+        if (curveColumn === undefined) {
+            throw new Error("CSV has no equalization column (" + autoEqColumns.join(", ") + ")");
+        }
+        let points = rows.slice(1).map(r => [parseFloat(r[freqColumn]), parseFloat(r[curveColumn])])
+            .filter(p => p.every(v => !isNaN(v)));
+        return result("AutoEq CSV", { graphicEQ: points });
+    }
+
+    function parseTotalMix(text) {
+        // <Preset> with "Room EQ L"/"Room EQ R" sections (.tmreq) or an "Equalizer" section (.tmeq),
+        // values are <val e="REQ Band1 Freq" v="100.00,"/>
+        let warnings = [];
+        let section = (name) => {
+            let body = text.match(new RegExp("<" + name + ">([\\s\\S]*?)</" + name + ">"));
+            if (!body) { return null; }
+            let values = {};
+            body[1].replace(/<val\s+e="([^"]+)"\s+v="([^",]*),?"\s*\/>/g, (_, e, v) => {
+                values[e.replace(/\s+/g, " ")] = parseFloat(v);
+            });
+            return values;
+        };
+        let bands = (values, prefix, count, typeOf) => {
+            let filters = [];
+            for (let i = 1; i <= count; i++) {
+                let band = prefix + "Band" + i + " ";
+                let typeValue = values[prefix + "Band" + i + "Type"];
+                typeValue = (typeValue === undefined) ? values[band + "Type"] : typeValue;
+                let types = typeOf(i);
+                let type = types ? types[typeValue || 0] : "PK";
+                if (!type) {
+                    warnings.push("Unknown type " + typeValue + " of " + band.trim() + ", read as PK");
+                    type = "PK";
+                }
+                let f = { disabled: false, type, freq: Math.round(values[band + "Freq"]) || 0,
+                    q: values[band + "Q"] || 0, gain: values[band + "Gain"] || 0 };
+                // Unused bands are exported as 0 dB peaks, pass filters have no gain
+                if (f.gain || type === "HPQ" || type === "LPQ") {
+                    filters.push(f);
+                }
+            }
+            return filters;
+        };
+        let roomL = section("Room EQ L");
+        let roomR = section("Room EQ R");
+        if (roomL || roomR) {
+            let typeOf = i => i === 1 ? totalMixTypes.low : (i >= 8 ? totalMixTypes.high : null);
+            let channels = [roomL || roomR, roomR || roomL].map(v => bands(v, "REQ ", 9, typeOf));
+            let gains = [roomL || roomR, roomR || roomL].map(v => v["Chan Gain"] || 0);
+            if (roomL && roomL["REQ Delay"] || roomR && roomR["REQ Delay"]) {
+                warnings.push("Room EQ delay is not imported");
+            }
+            // Channel gains that differ are kept per side
+            let sameGain = gains[0] === gains[1];
+            return result("TotalMix Room EQ", {
+                filters: channels[0],
+                channels: sameFilters(channels[0], channels[1]) ? null : channels,
+                preamp: (sameGain && gains[0]) ? gains[0] : null,
+                channelPreamps: sameGain ? [] : gains.map((gain, c) => ({ gain, channel: ["L", "R"][c], sides: [c] })),
+                warnings
+            });
+        }
+        let peq = section("Equalizer");
+        if (peq) {
+            let typeOf = i => i === 1 ? totalMixTypes.low : (i === 3 ? totalMixTypes.high : null);
+            return result("TotalMix PEQ", { filters: bands(peq, "", 3, typeOf), warnings });
+        }
+        throw new Error("TotalMix preset has no Room EQ or Equalizer section");
+    }
+
+    // ===========================================
+    // JSON Formats
+    // ===========================================
+    function parsePoweramp(preset) {
+        // Exported as a list of presets, the first one is used
+        preset = Array.isArray(preset) ? preset[0] : preset;
+        let warnings = [];
+        let filters = preset.bands.map(b => {
+            let type = powerampTypes[b.type];
+            if (!type) {
+                warnings.push("Skipped band with unknown type " + b.type + " at " + b.frequency + " Hz");
+                return null;
+            }
+            if (b.channels) {
+                warnings.push("Band at " + b.frequency + " Hz only applies to one channel in Poweramp");
+            }
+            return { disabled: false, type, freq: Math.round(b.frequency), q: b.q, gain: b.gain };
+        }).filter(f => f);
+        return result("Poweramp", {
+            filters,
+            preamp: (typeof preset.preamp === "number") ? preset.preamp : null,
+            warnings
+        });
+    }
+
+    function parseEasyEffects(preset) {
+        let key = Object.keys(preset.output).filter(k => k.match(/^equalizer(#\d+)?$/))[0];
+        if (!key) {
+            throw new Error("EasyEffects preset has no equalizer");
+        }
+        let eq = preset.output[key];
+        let warnings = [];
+        let channel = (bands) => Object.keys(bands || {})
+            .filter(k => k.match(/^band\d+$/))
+            .sort((a, b) => parseInt(a.substr(4)) - parseInt(b.substr(4)))
+            .slice(0, eq["num-bands"] || Infinity)
+            .map(k => {
+                let b = bands[k];
+                let type = easyEffectsTypes[b.type];
+                if (!type && b.type !== "Off") {
+                    warnings.push("Skipped " + b.type + " band at " + b.frequency + " Hz");
+                }
+                return type && { disabled: !!b.mute, type, freq: Math.round(b.frequency), q: b.q, gain: b.gain };
+            }).filter(f => f);
+        let left = channel(eq.left);
+        return result("EasyEffects", {
+            filters: left,
+            channels: eq["split-channels"] ? [left, channel(eq.right)] : null,
+            preamp: (typeof eq["input-gain"] === "number") ? eq["input-gain"] : null,
+            warnings
+        });
+    }
+
+    function parseJSON(text) {
+        let preset = JSON.parse(text);
+        let first = Array.isArray(preset) ? preset[0] : preset;
+        if (first && Array.isArray(first.bands)) {
+            return parsePoweramp(preset);
+        }
+        if (preset && preset.output) {
+            return parseEasyEffects(preset);
+        }
+        throw new Error("Unknown JSON preset");
+    }
+
+    // ===========================================
+    // Public Functions
+    // ===========================================
+    function parse(text, fileName) {
+        // Sniff by content, file name only tells REW apart from APO
+        let trimmed = text.trim();
+        if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+            return parseJSON(trimmed);
+        }
+        if (trimmed.startsWith("<Preset>")) {
+            return parseTotalMix(trimmed);
+        }
+        if (/^\s*GraphicEQ:/m.test(text)) {
+            return parseGraphicEQ(text);
+        }
+        if (/^\s*(Filter\s*\d*|Preamp|Include):/m.test(text)) {
+            let isREW = /Room EQ|Filter Settings file/i.test(text) || /rew/i.test(fileName || "");
+            return parseAPO(text, isREW ? "REW" : "Equalizer APO");
+        }
+        if (/^[\d.\s]+(;[-\d.\s]+){29}$/.test(trimmed)) {
+            return parseJamesDSP(trimmed);
+        }
+        if (trimmed.split(/\r?\n/)[0].includes(",")) {
+            return parseCSV(trimmed);
+        }
+        throw new Error("Unrecognized preset format");
+    }
+
+    function combine(presets) {
+        // Chain presets loaded together, e.g. a .tmreq and its .tmeq, filters in the given order
+        if (presets.length === 1) { return presets[0]; }
+        if (presets.some(p => !p.filters)) {
+            throw new Error("Graphic EQ presets can not be combined");
+        }
+        let channels = [0, 1].map(c => [].concat(...presets.map(p => p.channels ? p.channels[c] : p.filters)));
+        let preamps = presets.map(p => p.preamp).filter(p => p !== null);
+        return result(presets.map(p => p.format).join(" + "), {
+            filters: channels[0],
+            channels: presets.some(p => p.channels) ? channels : null,
+            preamp: preamps.length ? preamps.reduce((a, b) => a + b) : null,
+            channelPreamps: [].concat(...presets.map(p => p.channelPreamps)),
+            comments: [].concat(...presets.map(p => p.comments)),
+            includes: [].concat(...presets.map(p => p.includes)),
+            warnings: [].concat(...presets.map(p => p.warnings))
+        });
+    }
+
+    function fitGraphicEQ(points, maxFilters) {
+        // Fit peak and shelf filters to a graphic EQ curve with AutoEQ over the full range, a
+        // treble or bass tilt needs shelves. Frequencies are whole Hz like the filter list, so
+        // error is the remaining difference of the filters as they are applied
+        let freqs = [];
+        for (let f = 20; f <= 20000; f *= Math.pow(2, 1 / 24)) {
+            freqs.push(f);
+        }
+        let curve = Equalizer.interp(freqs, points.slice().sort((a, b) => a[0] - b[0]));
+        // Overall level is the pre-amp's job, fit the shape around the median
+        let sorted = curve.map(([f, v]) => v).sort((a, b) => a - b);
+        let median = sorted[Math.floor(sorted.length / 2)];
+        let target = curve.map(([f, v]) => [f, v - median]);
+        let flat = freqs.map(f => [f, 0]);
+        let device = { slots: new Array(maxFilters).fill(null).map(() => ({ types: ["PK", "LSQ", "HSQ"], step: { freq: 1 } })) };
+        let saved = [Equalizer.config.AutoEQRange, Equalizer.config.AutoEQMask];
+        let filters;
+        try {
+            Equalizer.config.AutoEQRange = [20, 20000];
+            Equalizer.config.AutoEQMask = [];
+            filters = Equalizer.autoeq_device(flat, target, device);
+        } finally {
+            [Equalizer.config.AutoEQRange, Equalizer.config.AutoEQMask] = saved;
+        }
+        let deltas = Equalizer.apply(flat, filters).map(([f, v], i) => v - target[i][1]);
+        return {
+            filters: filters.map(f => ({ disabled: false, ...f })),
+            error: {
+                max: Math.max(...deltas.map(Math.abs)),
+                rms: Math.sqrt(deltas.reduce((sum, d) => sum + d * d, 0) / deltas.length)
+            }
+        };
+    }
+
+    // ===========================================
+    // Initialization
+    // ===========================================
+    function init(options) {
+        if (initialized) return publicAPI;
+        Equalizer = options.Equalizer;
+        initialized = true;
+        return publicAPI;
+    }
+
+    // ===========================================
+    // Public API
+    // ===========================================
+    const publicAPI = {
+        init: init,
+        parse: parse,
+        combine: combine,
+        fitGraphicEQ: fitGraphicEQ
+    };
+
+    return publicAPI;
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresetImport;
+}
@@ -0,0 +1,315 @@
+/**
+ * Session Module
+ * Saves the whole workspace to a JSON document and restores it: the graph tool and its
+ * extensions register sections which capture and restore their own state. The document is
+ * autosaved to localStorage, or IndexedDB when it does not fit, and can be saved to / opened
+ * from a file. Sections can also capture a compact state for share links, which is encoded
+ * into a versioned, deflate compressed, URL safe blob.
+ *
+ * Document shape:
+ *   {
+ *     format: "graphtool-session",
+ *     version,                // SESSION_VERSION of the tool which saved it
+ *     saved,                  // ISO date
+ *     sections: { [key]: state captured by the section }
+ *   }
+ *
+ * Share blob: SHARE_VERSION, "z" for deflate-raw or "j" for plain JSON, then base64url of
+ *   { [key]: compact state captured by the section }
+ *
+ * Usage:
+ *   Session.register("graph", { capture: () => state, restore: (state) => promise,
+ *       captureShare: () => compact, restoreShare: (compact, context) => promise });
+ *   Session.start(true).then(restored => ...);  // Restore the autosave, then autosave changes
+ *   Session.autosave();                         // Call after changes, debounced
+ *   Session.download("My session.json");
+ *   Session.open(file).then(...);
+ *   Session.encode(Session.captureShare()).then(blob => ...);
+ *   Session.decode(blob).then(share => Session.restoreShare(share, { names }));
+ */
+const Session = (function() {
+    'use strict';
+
+    // ===========================================
+    // Constants
+    // ===========================================
+    const FORMAT = "graphtool-session";
+    const SESSION_VERSION = 1;
+    const STORAGE_KEY = "graphtool-session";
+    // Stored in localStorage when the session is in IndexedDB
+    const IDB_MARKER = "indexeddb";
+    const IDB_NAME = "graphtool";
+    const IDB_STORE = "session";
+    const AUTOSAVE_DELAY = 1000;
+    const SHARE_VERSION = 1;
+
+    // ===========================================
+    // Module State
+    // ===========================================
+    let sections = [];
+    let started = false;
+    let persist = true;
+    let restoring = false;
+    let autosaveHandle = null;
+    let saveListeners = [];
+
+    // ===========================================
+    // IndexedDB
+    // ===========================================
+    function idbRequest(mode, fn) {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === "undefined") {
+                return reject(new Error("IndexedDB is not available"));
+            }
+            let open = indexedDB.open(IDB_NAME, 1);
+            open.onupgradeneeded = () => open.result.createObjectStore(IDB_STORE);
+            open.onerror = () => reject(open.error);
+            open.onsuccess = () => {
+                let db = open.result;
+                let request = fn(db.transaction(IDB_STORE, mode).objectStore(IDB_STORE));
+                request.onsuccess = () => { db.close(); resolve(request.result); };
+                request.onerror = () => { db.close(); reject(request.error); };
+            };
+        });
+    }
+
+    // ===========================================
+    // Storage
+    // ===========================================
+    function writeAutosave(json) {
+        // localStorage is synchronous so the last save before closing the page is not lost,
+        // sessions with many uploaded curves can exceed its quota
+        try {
+            localStorage.setItem(STORAGE_KEY, json);
+            return Promise.resolve();
+        } catch (e) {
+            return idbRequest("readwrite", store => store.put(json, STORAGE_KEY))
+                .then(() => localStorage.setItem(STORAGE_KEY, IDB_MARKER));
+        }
+    }
+
+    function readAutosave() {
+        let json = localStorage.getItem(STORAGE_KEY);
+        if (json === IDB_MARKER) {
+            return idbRequest("readonly", store => store.get(STORAGE_KEY));
+        }
+        return Promise.resolve(json);
+    }
+
+    // ===========================================
+    // Share Encoding
+    // ===========================================
+    function toBase64Url(bytes) {
+        let binary = "";
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    }
+
+    function fromBase64Url(text) {
+        let binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    function transform(bytes, stream) {
+        return new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()
+            .then(buffer => new Uint8Array(buffer));
+    }
+
+    // ===========================================
+    // Documents
+    // ===========================================
+    function capture() {
+        let doc = { format: FORMAT, version: SESSION_VERSION, saved: new Date().toISOString(), sections: {} };
+        sections.forEach(s => doc.sections[s.key] = s.capture());
+        return doc;
+    }
+
+    function parse(json) {
+        let doc;
+        try {
+            doc = JSON.parse(json);
+        } catch (e) {
+            throw new Error("Session file is not valid JSON");
+        }
+        if (!doc || doc.format !== FORMAT || !doc.sections) {
+            throw new Error("Not a graph tool session file");
+        }
+        if (doc.version > SESSION_VERSION) {
+            throw new Error(`Session version ${doc.version} is newer than this tool supports (${SESSION_VERSION})`);
+        }
+        return doc;
+    }
+
+    async function restoreSections(states, method, arg) {
+        // Sections restore in the order they were registered, a failing section is skipped
+        restoring = true;
+        try {
+            for (let s of sections) {
+                if (states[s.key] === undefined || !s[method]) continue;
+                try {
+                    await s[method](states[s.key], arg);
+                } catch (e) {
+                    console.error(`Session: restoring ${s.key} failed`, e);
+                }
+            }
+        } finally {
+            restoring = false;
+        }
+    }
+
+    function restore(doc) {
+        return restoreSections(doc.sections, "restore", doc.version);
+    }
+
+    // ===========================================
+    // Public Functions
+    // ===========================================
+    function register(key, section) {
+        if (!section || typeof section.capture !== "function" || typeof section.restore !== "function") {
+            throw new Error(`Session section "${key}" needs capture and restore functions`);
+        }
+        sections = sections.filter(s => s.key !== key).concat([{ key, ...section }]);
+    }
+
+    async function start(restoreSaved, persistChanges = true) {
+        // Autosave stays off until here, so a page still loading never replaces the saved session.
+        // Without persistChanges, e.g. for share links and embeds, changes are announced but not
+        // stored, so visiting a link never replaces the saved session
+        persist = persistChanges;
+        let restored = false;
+        if (restoreSaved) {
+            try {
+                let json = await readAutosave();
+                if (json) {
+                    await restore(parse(json));
+                    restored = true;
+                }
+            } catch (e) {
+                console.error("Session: autosave could not be restored", e);
+            }
+        }
+        started = true;
+        if (typeof window !== "undefined") {
+            window.addEventListener("pagehide", save);
+        }
+        return restored;
+    }
+
+    function save() {
+        clearTimeout(autosaveHandle);
+        if (!started || restoring) return Promise.resolve();
+        let doc = capture();
+        saveListeners.forEach(fn => fn(doc));
+        if (!persist) return Promise.resolve();
+        return writeAutosave(JSON.stringify(doc))
+            .catch(e => console.error("Session: autosave failed", e));
+    }
+
+    function onSave(fn) {
+        // Called with the captured document on every autosave, after changes have settled
+        saveListeners.push(fn);
+    }
+
+    function autosave() {
+        clearTimeout(autosaveHandle);
+        autosaveHandle = setTimeout(save, AUTOSAVE_DELAY);
+    }
+
+    function download(fileName) {
+        let blob = new Blob([JSON.stringify(capture(), null, 2)], { type: "application/json" });
+        let url = URL.createObjectURL(blob);
+        let link = document.createElement("a");
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    function open(file) {
+        // Rejects when the file is not a session, the current workspace is kept then. Opening a
+        // file is an explicit choice, it replaces the saved session and later changes are stored
+        return file.text().then(parse).then(restore).then(() => {
+            persist = true;
+            return save();
+        });
+    }
+
+    function captureShare() {
+        let share = {};
+        sections.filter(s => s.captureShare).forEach(s => {
+            let state = s.captureShare();
+            if (state !== undefined && state !== null) share[s.key] = state;
+        });
+        return share;
+    }
+
+    function restoreShare(share, context) {
+        return restoreSections(share, "restoreShare", context);
+    }
+
+    async function encode(share) {
+        let bytes = new TextEncoder().encode(JSON.stringify(share));
+        if (typeof CompressionStream === "undefined") {
+            return SHARE_VERSION + "j" + toBase64Url(bytes);
+        }
+        return SHARE_VERSION + "z" + toBase64Url(await transform(bytes, new CompressionStream("deflate-raw")));
+    }
+
+    async function decode(blob) {
+        let m = String(blob).match(/^(\d+)([zj])([A-Za-z0-9_-]*)$/);
+        if (!m) {
+            throw new Error("Share state is not valid");
+        }
+        if (+m[1] > SHARE_VERSION) {
+            throw new Error(`Share state version ${m[1]} is newer than this tool supports (${SHARE_VERSION})`);
+        }
+        let bytes = fromBase64Url(m[3]);
+        if (m[2] === "z") {
+            if (typeof DecompressionStream === "undefined") {
+                throw new Error("This browser can not decompress share state");
+            }
+            bytes = await transform(bytes, new DecompressionStream("deflate-raw"));
+        }
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    function clear() {
+        clearTimeout(autosaveHandle);
+        let json = localStorage.getItem(STORAGE_KEY);
+        localStorage.removeItem(STORAGE_KEY);
+        return json === IDB_MARKER ? idbRequest("readwrite", store => store.delete(STORAGE_KEY)) : Promise.resolve();
+    }
+
+    // ===========================================
+    // Public API
+    // ===========================================
+    const publicAPI = {
+        register: register,
+        start: start,
+        capture: capture,
+        restore: restore,
+        parse: parse,
+        save: save,
+        autosave: autosave,
+        download: download,
+        open: open,
+        clear: clear,
+        onSave: onSave,
+        captureShare: captureShare,
+        restoreShare: restoreShare,
+        encode: encode,
+        decode: decode,
+        isRestoring: () => restoring
+    };
+
+    return publicAPI;
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Session;
+}
@@ -0,0 +1,239 @@
+/**
+ * TotalMix EQ Module
+ * The bands the TotalMix panel sends to totalmix-osc-bridge and reads back: filters are
+ * checked against the "totalmix" device profile and placed in its 12 slots, Room EQ 1-9 then
+ * PEQ 1-3, with PEQ values rounded to its precision. Used by the panel and by
+ * tools/totalmix-bridge-check.js, so the check exercises the same payloads.
+ *
+ * request(path, options) is the caller's fetch wrapper, it resolves with the JSON answer and
+ * rejects on failures and error statuses.
+ *
+ * Usage:
+ *   TotalMixEQ.init({ DeviceProfiles, Equalizer });
+ *   let organized = TotalMixEQ.organize(filters);  // { bands, roomEQCount, peqCount, modifications } or { error }
+ *   await TotalMixEQ.send(request, 0, organized.bands);
+ *   let bands = await TotalMixEQ.read(request, 0);  // [12 bands] as the device holds them
+ *   TotalMixEQ.toFilters(bands);                    // Bands which change the sound
+ *   TotalMixEQ.diff(bands, organized.bands);        // ["PEQ1: G:2→2.5"], device→editor
+ */
+const TotalMixEQ = (function() {
+    'use strict';
+
+    // ===========================================
+    // Module State
+    // ===========================================
+    let initialized = false;
+    let DeviceProfiles = null;
+    let Equalizer = null;
+
+    // ===========================================
+    // Constants
+    // ===========================================
+    const REQ_BANDS = 9;
+    const PEQ_BANDS = 3;
+    // Unused slots are sent as zero-gain peaks to keep the positions
+    const emptyBand = { type: 'PK', freq: 1000, gain: 0, q: 1.0 };
+
+    // ===========================================
+    // Slots
+    // ===========================================
+    function validate(filters) {
+        // Error message for the first filter outside the device ranges, or null
+        const { qRange, gainRange } = DeviceProfiles.get("totalmix");
+        for (let i = 0; i < filters.length; i++) {
+            const f = filters[i];
+            if (f.q < qRange[0] || f.q > qRange[1]) {
+                return `Filter ${i + 1} has Q value ${f.q} outside allowed range (${qRange[0]} - ${qRange[1]})`;
+            }
+            if (f.gain < gainRange[0] || f.gain > gainRange[1]) {
+                return `Filter ${i + 1} has gain value ${f.gain} outside allowed range (${gainRange[0]} to +${gainRange[1]} dB)`;
+            }
+        }
+        return null;
+    }
+
+    // Organize all filters for TotalMix (Room EQ + PEQ)
+    // LSQ: REQ band 1 or PEQ band 1 (max 2 total)
+    // HSQ: REQ bands 8,9 or PEQ band 3 (max 3 total)
+    // PK: any remaining slot
+    function organizeAllFilters(filters) {
+        let lsqFilters = filters.filter(f => f.type === "LSQ");
+        let hsqFilters = filters.filter(f => f.type === "HSQ");
+        let pkFilters = filters.filter(f => f.type === "PK");
+
+        // Pass, notch and all-pass filters have no TotalMix equivalent
+        let unsupported = filters.filter(f => !["PK", "LSQ", "HSQ"].includes(f.type));
+        if (unsupported.length) {
+            return { error: `Unsupported filter type(s): ${unsupported.map(f => f.type).join(', ')} (TotalMix supports PK, LSQ, HSQ)` };
+        }
+
+        // Validate shelving counts
+        if (lsqFilters.length > 2) {
+            return { error: `Too many Low Shelf filters: ${lsqFilters.length} (max 2: REQ band 1 + PEQ band 1)` };
+        }
+        if (hsqFilters.length > 3) {
+            return { error: `Too many High Shelf filters: ${hsqFilters.length} (max 3: REQ bands 8,9 + PEQ band 3)` };
+        }
+
+        // Room EQ: 9 bands, shelving only in positions 0 (LSQ), 7, 8 (HSQ)
+        let roomEQ = new Array(REQ_BANDS).fill(null);
+        // PEQ: 3 bands, shelving only in positions 0 (LSQ), 2 (HSQ)
+        let peq = new Array(PEQ_BANDS).fill(null);
+
+        // Place LSQ filters (band 1 of REQ, then band 1 of PEQ)
+        let lsqIndex = 0;
+        if (lsqIndex < lsqFilters.length) {
+            roomEQ[0] = {...lsqFilters[lsqIndex++]};
+        }
+        if (lsqIndex < lsqFilters.length) {
+            peq[0] = {...lsqFilters[lsqIndex++]};
+        }
+
+        // Place HSQ filters (bands 8,9 of REQ, then band 3 of PEQ)
+        let hsqIndex = 0;
+        if (hsqIndex < hsqFilters.length) {
+            roomEQ[7] = {...hsqFilters[hsqIndex++]};
+        }
+        if (hsqIndex < hsqFilters.length) {
+            roomEQ[8] = {...hsqFilters[hsqIndex++]};
+        }
+        if (hsqIndex < hsqFilters.length) {
+            peq[2] = {...hsqFilters[hsqIndex++]};
+        }
+
+        // Fill remaining slots with peaking filters
+        let pkIndex = 0;
+        // Fill Room EQ first
+        for (let i = 0; i < REQ_BANDS && pkIndex < pkFilters.length; i++) {
+            if (!roomEQ[i]) {
+                roomEQ[i] = {...pkFilters[pkIndex++]};
+            }
+        }
+        // Then fill PEQ
+        for (let i = 0; i < PEQ_BANDS && pkIndex < pkFilters.length; i++) {
+            if (!peq[i]) {
+                peq[i] = {...pkFilters[pkIndex++]};
+            }
+        }
+
+        // Check if we have leftover filters
+        const totalFilters = lsqFilters.length + hsqFilters.length + pkFilters.length;
+        if (totalFilters > REQ_BANDS + PEQ_BANDS) {
+            return { error: `Too many filters: ${totalFilters} (max 12: 9 REQ + 3 PEQ)` };
+        }
+
+        // Apply PEQ precision limits and track changes
+        let modifications = [];
+        const peqStep = DeviceProfiles.get("totalmix").slots.find(s => s.name === "PEQ1").step;
+        peq.forEach((f, i) => {
+            if (!f) return;
+            const origFreq = f.freq;
+            const origQ = f.q;
+            const origGain = f.gain;
+
+            f.freq = DeviceProfiles.quantize(f.freq, peqStep.freq);
+            f.q = DeviceProfiles.quantize(f.q, peqStep.q);
+            f.gain = DeviceProfiles.quantize(f.gain, peqStep.gain);
+
+            let changes = [];
+            if (origFreq !== f.freq) changes.push(`F:${origFreq}→${f.freq}`);
+            if (origQ !== f.q) changes.push(`Q:${origQ}→${f.q}`);
+            if (origGain !== f.gain) changes.push(`G:${origGain}→${f.gain}`);
+            if (changes.length) {
+                modifications.push(`PEQ${i+1}: ${changes.join(', ')}`);
+            }
+        });
+
+        // Count actual filters before filling with placeholders
+        const roomEQCount = roomEQ.filter(f => f !== null).length;
+        const peqCount = peq.filter(f => f !== null).length;
+
+        return {
+            bands: roomEQ.concat(peq).map(f => f || {...emptyBand}),
+            roomEQCount: roomEQCount,
+            peqCount: peqCount,
+            modifications
+        };
+    }
+
+    // ===========================================
+    // Public Functions
+    // ===========================================
+    function init(options) {
+        if (initialized) return publicAPI;
+        DeviceProfiles = options.DeviceProfiles;
+        Equalizer = options.Equalizer;
+        initialized = true;
+        return publicAPI;
+    }
+
+    function organize(filters) {
+        // Disabled filters and filters without a frequency are left out, none gives flat bands
+        filters = filters.filter(f => f.freq > 0 && !f.disabled);
+        let error = validate(filters);
+        return error ? { error } : organizeAllFilters(filters);
+    }
+
+    function send(request, channel, bands) {
+        // The bridge only takes all 12 bands, missing ones would be reset to flat
+        return request(`/api/channel/${channel}/eq`, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify({filters: bands})
+        });
+    }
+
+    function read(request, channel) {
+        return request(`/api/channel/${channel}/eq`).then(data => data.filters || []);
+    }
+
+    function toFilters(bands) {
+        // Flat bands are unused slots
+        return bands.filter(f => Equalizer.is_effective(f));
+    }
+
+    function diff(device, editor) {
+        // Differences between device bands and the editor bands, slot by slot. A slot without
+        // gain is unused, values within half the finest device step are the same
+        const slotNames = DeviceProfiles.getSlots(DeviceProfiles.get("totalmix"), 0).map(s => s.name);
+        const active = f => f && f.gain ? f : null;
+        const describe = f => `${f.type} ${f.freq} Hz ${f.gain} dB Q ${f.q}`;
+        const lines = [];
+        slotNames.forEach((name, i) => {
+            const d = active(device[i]), e = active(editor[i]);
+            if (!d && !e) return;
+            if (!e) {
+                lines.push(`${name}: device only ${describe(d)}`);
+            } else if (!d) {
+                lines.push(`${name}: editor only ${describe(e)}`);
+            } else {
+                const changes = [];
+                if (d.type !== e.type) changes.push(`${d.type}→${e.type}`);
+                if (Math.abs(d.freq - e.freq) >= 0.5) changes.push(`F:${d.freq}→${e.freq}`);
+                if (Math.abs(d.q - e.q) >= 0.005) changes.push(`Q:${d.q}→${e.q}`);
+                if (Math.abs(d.gain - e.gain) >= 0.05) changes.push(`G:${d.gain}→${e.gain}`);
+                if (changes.length) lines.push(`${name}: ${changes.join(', ')}`);
+            }
+        });
+        return lines;
+    }
+
+    // ===========================================
+    // Public API
+    // ===========================================
+    const publicAPI = {
+        init: init,
+        organize: organize,
+        send: send,
+        read: read,
+        toFilters: toFilters,
+        diff: diff
+    };
+
+    return publicAPI;
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TotalMixEQ;
+}
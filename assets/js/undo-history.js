@@ -0,0 +1,163 @@
+/**
+ * Undo History Module
+ * Undo/redo for everything the Session module captures. The tool commits a step when a
+ * gesture ends (a drag, a changed field, an AutoEQ run) and right after discrete actions
+ * such as showing a phone, so each undoes as one. Changes without such a boundary become a
+ * step with the autosave, except while a gesture is in progress.
+ * Steps are kept as the JSON of each session section; undoing restores the first section
+ * which differs and the sections registered after it, as those may depend on it (the EQ is
+ * applied to a graph phone).
+ *
+ * Usage:
+ *   UndoHistory.init({ session: Session, limit: 100, onChange: () => updateButtons() });
+ *   UndoHistory.reset();    // The state on screen is the first step, else the first autosave is
+ *   UndoHistory.begin();    // A drag starts
+ *   UndoHistory.commit();   // It ended, the state once the current action is done is a step
+ *   UndoHistory.undo();
+ *   UndoHistory.redo();
+ *   UndoHistory.canUndo();
+ */
+const UndoHistory = (function() {
+    'use strict';
+
+    // ===========================================
+    // Constants
+    // ===========================================
+    const DEFAULT_LIMIT = 100;
+
+    // ===========================================
+    // Module State
+    // ===========================================
+    let session = null;
+    let limit = DEFAULT_LIMIT;
+    let onChange = () => {};
+    let version = null;
+    let current = null;     // { [key]: section JSON } of the state on screen
+    let undoStack = [];
+    let redoStack = [];
+    let busy = false;
+    let gesture = false;    // Autosaves during a drag are not steps
+    let commitHandle = null;
+
+    // ===========================================
+    // Snapshots
+    // ===========================================
+    function snapshot(doc) {
+        // Unchanged sections keep the previous string, so steps share their memory
+        let snap = {};
+        Object.keys(doc.sections).forEach(key => {
+            let json = JSON.stringify(doc.sections[key]);
+            snap[key] = current && current[key] === json ? current[key] : json;
+        });
+        version = doc.version;
+        return snap;
+    }
+
+    function sameSnapshot(a, b) {
+        let keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+    }
+
+    function record(doc) {
+        if (busy) return;
+        let next = snapshot(doc);
+        if (!current) {
+            current = next;
+            return;
+        }
+        if (sameSnapshot(current, next)) return;
+        undoStack.push(current);
+        if (undoStack.length > limit) undoStack.shift();
+        redoStack = [];
+        current = next;
+        onChange();
+    }
+
+    function flush() {
+        // A pending commit is recorded now
+        clearTimeout(commitHandle);
+        gesture = false;
+        if (current && !session.isRestoring()) record(session.capture());
+    }
+
+    async function apply(target) {
+        let keys = Object.keys(target),
+            first = keys.findIndex(key => target[key] !== current[key]),
+            sections = {};
+        keys.slice(first < 0 ? keys.length : first).forEach(key => sections[key] = JSON.parse(target[key]));
+        busy = true;
+        onChange();
+        try {
+            await session.restore({ version: version, sections: sections });
+        } finally {
+            current = snapshot(session.capture());
+            busy = false;
+        }
+        session.save();
+        onChange();
+    }
+
+    async function step(undo) {
+        if (busy || session.isRestoring()) return;
+        // Changes not committed yet become a step first, which clears the redo stack
+        flush();
+        let from = undo ? undoStack : redoStack,
+            to = undo ? redoStack : undoStack;
+        if (!from.length) return;
+        to.push(current);
+        await apply(from.pop());
+    }
+
+    // ===========================================
+    // Public Functions
+    // ===========================================
+    function init(options) {
+        session = options.session;
+        limit = options.limit || DEFAULT_LIMIT;
+        onChange = options.onChange || onChange;
+        session.onSave(doc => gesture || record(doc));
+    }
+
+    function begin() {
+        gesture = true;
+    }
+
+    function commit() {
+        // Waits for the current action to finish, so nested actions, e.g. showing a phone
+        // which resets the baseline, are one step. Nothing is recorded before the first
+        // step is known
+        gesture = false;
+        clearTimeout(commitHandle);
+        commitHandle = setTimeout(flush, 0);
+    }
+
+    function reset() {
+        clearTimeout(commitHandle);
+        gesture = false;
+        current = snapshot(session.capture());
+        undoStack = [];
+        redoStack = [];
+        onChange();
+    }
+
+    // ===========================================
+    // Public API
+    // ===========================================
+    const publicAPI = {
+        init: init,
+        reset: reset,
+        begin: begin,
+        commit: commit,
+        undo: () => step(true),
+        redo: () => step(false),
+        canUndo: () => !busy && undoStack.length > 0,
+        canRedo: () => !busy && redoStack.length > 0
+    };
+
+    return publicAPI;
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UndoHistory;
+}
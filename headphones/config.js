@@ -35,7 +35,10 @@ const init_phones = ["KB501X DF Target", "580 Jubilee BP"],// Optional. Which gr
       extraUploadEnabled = true,                    // Enable upload function
       extraEQEnabled = true,                        // Enable parametic eq function
       extraEQBands = 10,                            // Default EQ bands available
-      extraEQBandsMax = 50;                         // Max EQ bands available
+      extraEQBandsMax = 50,                         // Max EQ bands available
+      extraEQSampleRate = 48000,                    // Default device sample rate used for EQ curves, AutoEQ and exports
+      totalMixBridgeURL = "http://127.0.0.1:8765",  // Default TotalMix OSC bridge address, can be changed in the EQ panel
+      totalMixBridgeMinVersion = "1.0.0";           // Oldest totalmix-bridge version reporting /api/health that is accepted
 
 // Specify which targets to display
 const targets = [
@@ -113,10 +116,7 @@ function watermark(svg) {
 
 // Parse fr text data from REW or AudioTool format with whatever separator
 function tsvParse(fr) {
-    return fr.split(/[\r\n]/)
-        .map(l => l.trim()).filter(l => l && l[0] !== '*')
-        .map(l => l.split(/[\s,]+/).map(e => parseFloat(e)).slice(0, 2))
-        .filter(t => !isNaN(t[0]) && !isNaN(t[1]));
+    return GraphCore.tsvParse(fr);
 }
 
 
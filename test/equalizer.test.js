@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Equalizer = require('../assets/js/equalizer.js');
+
+// Gain of a filter chain in dB at freq
+const gainAt = (filters, freq, sampleRate) =>
+    Equalizer.calc_gains([freq], Equalizer.filters_to_coeffs(filters, sampleRate), sampleRate)[0];
+const near = (actual, expected, tolerance, message) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} ${actual} != ${expected} ±${tolerance}`);
+
+test('PK boosts by its gain at freq and leaves distant frequencies', () => {
+    const pk = [{ type: 'PK', freq: 1000, q: 1.41, gain: 6 }];
+    near(gainAt(pk, 1000), 6, 1e-6);
+    near(gainAt(pk, 20), 0, 0.01);
+    near(gainAt(pk, 20000), 0, 0.01);
+});
+
+test('LPQ and HPQ are -3 dB at freq with Q 0.707 and fall 12 dB per octave', () => {
+    const lp = [{ type: 'LPQ', freq: 1000, q: Math.SQRT1_2 }];
+    const hp = [{ type: 'HPQ', freq: 1000, q: Math.SQRT1_2 }];
+    near(gainAt(lp, 1000), -3.01, 0.01);
+    near(gainAt(hp, 1000), -3.01, 0.01);
+    near(gainAt(lp, 20), 0, 0.01);
+    near(gainAt(hp, 20000), 0, 0.01);
+    near(gainAt(hp, 50) - gainAt(hp, 100), -12, 0.1);
+    // Away from Nyquist, closer to it the bilinear transform makes the slope steeper
+    const lp100 = [{ type: 'LPQ', freq: 100, q: Math.SQRT1_2 }];
+    near(gainAt(lp100, 400) - gainAt(lp100, 800), 12, 0.1);
+});
+
+test('LP/HP and LP24/HP24 cascade Butterworth sections', () => {
+    assert.strictEqual(Equalizer.as_biquads([{ type: 'HP', freq: 100 }]).length, 1);
+    const hp24 = Equalizer.as_biquads([{ type: 'HP24', freq: 100 }]);
+    assert.deepStrictEqual(hp24.map(s => s.type), ['HPQ', 'HPQ']);
+    near(hp24[0].q * hp24[1].q, 1 / (4 * Math.cos(Math.PI / 8) * Math.cos(3 * Math.PI / 8)), 1e-12);
+    // Butterworth is -3 dB at freq for any order
+    near(gainAt([{ type: 'LP24', freq: 1000 }], 1000), -3.01, 0.01);
+    near(gainAt([{ type: 'HP24', freq: 1000 }], 1000), -3.01, 0.01);
+    near(gainAt([{ type: 'HP24', freq: 1000 }], 250) - gainAt([{ type: 'HP24', freq: 1000 }], 500), -24, 0.5);
+});
+
+test('NO cuts freq, BP passes only freq', () => {
+    const no = [{ type: 'NO', freq: 1000, q: 2 }];
+    const bp = [{ type: 'BP', freq: 1000, q: 2 }];
+    assert.ok(gainAt(no, 1000) < -100);
+    near(gainAt(no, 20), 0, 0.01);
+    near(gainAt(bp, 1000), 0, 1e-6);
+    assert.ok(gainAt(bp, 100) < -20 && gainAt(bp, 10000) < -20);
+});
+
+test('AP keeps the magnitude and turns the phase by 180° at freq', () => {
+    const coeffs = Equalizer.filters_to_coeffs([{ type: 'AP', freq: 1000, q: 0.707 }]);
+    const freqs = [20, 200, 1000, 5000, 20000];
+    Equalizer.calc_gains(freqs, coeffs).forEach(g => near(g, 0, 1e-9));
+    near(Math.abs(Equalizer.calc_phases([1000], coeffs)[0]), 180, 1e-6);
+});
+
+test('filter types take gain and Q as declared', () => {
+    assert.ok(Equalizer.uses_gain('PK') && Equalizer.uses_q('PK'));
+    assert.ok(!Equalizer.uses_gain('HPQ') && Equalizer.uses_q('HPQ'));
+    assert.ok(!Equalizer.uses_gain('LP24') && !Equalizer.uses_q('LP24'));
+    assert.ok(!Equalizer.uses_gain('XX') && !Equalizer.uses_q('XX'));
+    // Values a type doesn't use are ignored
+    assert.deepStrictEqual(Equalizer.as_biquads([{ type: 'NO', freq: 1000, q: 2, gain: 6 }]),
+        [{ type: 'NO', freq: 1000, q: 2, gain: 0 }]);
+});
+
+test('is_effective skips filters without a type, freq or the gain / Q they need', () => {
+    assert.ok(Equalizer.is_effective({ type: 'PK', freq: 1000, q: 1, gain: 3 }));
+    assert.ok(!Equalizer.is_effective({ type: 'PK', freq: 1000, q: 1, gain: 0 }));
+    assert.ok(!Equalizer.is_effective({ type: 'PK', freq: 0, q: 1, gain: 3 }));
+    assert.ok(!Equalizer.is_effective({ type: 'XX', freq: 1000, q: 1, gain: 3 }));
+    assert.ok(Equalizer.is_effective({ type: 'HP', freq: 80 }));
+    assert.ok(!Equalizer.is_effective({ type: 'NO', freq: 1000, q: 0 }));
+    assert.strictEqual(Equalizer.filters_to_coeffs([{ type: 'PK', freq: 1000, q: 1, gain: 0 }]).length, 0);
+});
+
+test('LSQ and HSQ shelves are half way at freq and reach their gain', () => {
+    const ls = [{ type: 'LSQ', freq: 1000, q: 0.707, gain: 6 }];
+    const hs = [{ type: 'HSQ', freq: 1000, q: 0.707, gain: -6 }];
+    near(gainAt(ls, 1000), 3, 0.01);
+    near(gainAt(hs, 1000), -3, 0.01);
+    near(gainAt(ls, 20), 6, 0.01);
+    near(gainAt(ls, 20000), 0, 0.01);
+    near(gainAt(hs, 20), 0, 0.01);
+    near(gainAt(hs, 20000), -6, 0.01);
+});
+
+test('LS6 and HS6 are first-order shelves, half way at freq', () => {
+    const ls = [{ type: 'LS6', freq: 100, gain: 20 }];
+    const hs = [{ type: 'HS6', freq: 1000, gain: 20 }];
+    near(gainAt(ls, 100), 10, 0.01);
+    near(gainAt(hs, 1000), 10, 0.01);
+    near(gainAt(ls, 2), 20, 0.05, 'LS6 at DC');
+    near(gainAt(hs, 23900), 20, 0.5, 'HS6 at Nyquist');
+    // Symmetric around freq on the log axis and never steeper than 6 dB per octave
+    near(gainAt(ls, 50) + gainAt(ls, 200), 20, 0.01);
+    assert.ok(gainAt(ls, 50) - gainAt(ls, 100) < 6);
+    // First order, so the Q of the filter is ignored
+    assert.deepStrictEqual(Equalizer.filters_to_coeffs([{ type: 'LS6', freq: 100, gain: 20, q: 5 }]),
+        Equalizer.filters_to_coeffs(ls));
+});
+
+test('LS12 and HS12 are the Q 0.707 shelves', () => {
+    assert.deepStrictEqual(Equalizer.as_biquads([{ type: 'LS12', freq: 100, gain: 4, q: 3 }]),
+        [{ type: 'LSQ', freq: 100, q: Math.SQRT1_2, gain: 4 }]);
+    assert.deepStrictEqual(Equalizer.as_biquads([{ type: 'HS12', freq: 8000, gain: -4 }]),
+        [{ type: 'HSQ', freq: 8000, q: Math.SQRT1_2, gain: -4 }]);
+    near(gainAt([{ type: 'HS12', freq: 8000, gain: -4 }], 8000), -2, 0.01);
+});
+
+test('shelves follow the sample rate near Nyquist', () => {
+    const hs = [{ type: 'HSQ', freq: 10000, q: 0.707, gain: 6 }];
+    near(gainAt(hs, 10000, 44100), 3, 0.01);
+    near(gainAt(hs, 10000, 96000), 3, 0.01);
+    assert.ok(Math.abs(gainAt(hs, 20000, 44100) - gainAt(hs, 20000, 96000)) > 0.1);
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FileExport = require('../assets/js/file-export.js');
+
+// Entries of a stored ZIP archive, read through the central directory like unzip does
+function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+    const end = buffer.byteLength - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054b50, 'end of central directory');
+    const count = view.getUint16(end + 10, true);
+    const centralSize = view.getUint32(end + 12, true);
+    let pos = view.getUint32(end + 16, true);
+    assert.strictEqual(pos + centralSize, end, 'central directory before its end record');
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(view.getUint32(pos, true), 0x02014b50, 'central directory header');
+        const method = view.getUint16(pos + 10, true);
+        const crc = view.getUint32(pos + 16, true);
+        const size = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const local = view.getUint32(pos + 42, true);
+        const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+        assert.strictEqual(view.getUint32(local, true), 0x04034b50, 'local file header');
+        assert.strictEqual(view.getUint32(local + 14, true), crc, 'local and central CRC');
+        const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        entries.push({ name, method, crc, flags: view.getUint16(pos + 8, true),
+            text: decoder.decode(bytes.subarray(dataStart, dataStart + size)) });
+        pos += 46 + nameLength;
+    }
+    return entries;
+}
+
+test('zip stores the files with their names and text', async () => {
+    const files = [
+        { name: 'Phone_9band.tmreq', text: '<Preset>\n</Preset>\n' },
+        { name: 'Phone_3band L.tmeq', text: '' },
+        { name: 'Höhen ü.txt', text: 'Gain −3 dB\r\n' }
+    ];
+    const blob = FileExport.zip(files);
+    assert.strictEqual(blob.type, 'application/zip');
+    const entries = readZip(await blob.arrayBuffer());
+    assert.deepStrictEqual(entries.map(e => ({ name: e.name, text: e.text })), files);
+    entries.forEach(e => {
+        assert.strictEqual(e.method, 0, 'stored');
+        assert.strictEqual(e.flags, 0x0800, 'UTF-8 names');
+    });
+});
+
+test('zip writes the CRC-32 of the data', async () => {
+    const [entry] = readZip(await FileExport.zip([{ name: 'check.txt', text: '123456789' }]).arrayBuffer());
+    assert.strictEqual(entry.crc, 0xCBF43926);
+});
+
+test('zip of no files is an empty archive', async () => {
+    const buffer = await FileExport.zip([]).arrayBuffer();
+    assert.strictEqual(buffer.byteLength, 22);
+    assert.deepStrictEqual(readZip(buffer), []);
+});
+
+// Chunks of a RIFF WAVE file by id
+function readWav(buffer) {
+    const view = new DataView(buffer);
+    const id = pos => String.fromCharCode(...new Uint8Array(buffer, pos, 4));
+    assert.strictEqual(id(0), 'RIFF');
+    assert.strictEqual(view.getUint32(4, true), buffer.byteLength - 8, 'RIFF size');
+    assert.strictEqual(id(8), 'WAVE');
+    const chunks = {};
+    for (let pos = 12; pos < buffer.byteLength; pos += 8 + view.getUint32(pos + 4, true)) {
+        chunks[id(pos)] = new DataView(buffer, pos + 8, view.getUint32(pos + 4, true));
+    }
+    return chunks;
+}
+
+test('floatWav writes a 32-bit float WAV with interleaved channels', () => {
+    const left = [1, 0.5, -0.25, 0], right = [0, -1, 0.125, 1e-7];
+    const chunks = readWav(FileExport.floatWav([left, right], 44100));
+    const fmt = chunks['fmt '];
+    assert.strictEqual(fmt.byteLength, 18);
+    assert.strictEqual(fmt.getUint16(0, true), 3, 'WAVE_FORMAT_IEEE_FLOAT');
+    assert.strictEqual(fmt.getUint16(2, true), 2, 'channels');
+    assert.strictEqual(fmt.getUint32(4, true), 44100, 'sample rate');
+    assert.strictEqual(fmt.getUint32(8, true), 44100 * 8, 'byte rate');
+    assert.strictEqual(fmt.getUint16(12, true), 8, 'block align');
+    assert.strictEqual(fmt.getUint16(14, true), 32, 'bits per sample');
+    assert.strictEqual(chunks.fact.getUint32(0, true), 4, 'frames');
+    const data = chunks.data;
+    assert.strictEqual(data.byteLength, 4 * 2 * 4);
+    const samples = Array.from({ length: 8 }, (_, i) => data.getFloat32(i * 4, true));
+    assert.deepStrictEqual(samples, [1, 0, 0.5, -1, -0.25, 0.125, 0, Math.fround(1e-7)]);
+});
+
+test('floatWav writes mono impulses', () => {
+    const impulse = new Float64Array(1024).map((_, i) => Math.exp(-i / 50) * Math.cos(i));
+    const buffer = FileExport.floatWav([impulse], 96000);
+    assert.strictEqual(buffer.byteLength, 58 + 1024 * 4);
+    const chunks = readWav(buffer);
+    assert.strictEqual(chunks['fmt '].getUint16(2, true), 1);
+    assert.strictEqual(chunks['fmt '].getUint32(4, true), 96000);
+    assert.strictEqual(chunks.fact.getUint32(0, true), 1024);
+    impulse.forEach((v, i) => assert.strictEqual(chunks.data.getFloat32(i * 4, true), Math.fround(v)));
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GraphCore = require('../assets/js/graph-core.js');
+
+const flat = level => GraphCore.f_values.map(f => [f, level]);
+
+test('f_values spans 20 Hz to 20 kHz in 1/48 octave steps', () => {
+    const f = GraphCore.f_values;
+    assert.strictEqual(f[0], 20);
+    assert.ok(f[f.length - 2] < 20000 && f[f.length - 1] >= 20000);
+    assert.ok(Math.abs(f[1] / f[0] - Math.pow(2, 1/48)) < 1e-12);
+});
+
+test('tsvParse reads REW and AudioTool text with any separator', () => {
+    const text = '* REW export\r\nFreq(Hz) SPL(dB) Phase\r\n20, 80.5, 12\r\n30\t81\r\n\r\n40;x\n  50 82.25  ';
+    assert.deepStrictEqual(GraphCore.tsvParse(text), [[20, 80.5], [30, 81], [50, 82.25]]);
+});
+
+test('smooth_curve keeps flat curves and level 0', () => {
+    const c = flat(70);
+    assert.strictEqual(GraphCore.smooth_curve(c, 0), c);
+    GraphCore.smooth_curve(c, 5).forEach(([f, v], i) => {
+        assert.strictEqual(f, c[i][0]);
+        assert.ok(Math.abs(v - 70) < 1e-9);
+    });
+});
+
+test('smooth_curve flattens a narrow peak', () => {
+    const c = flat(70);
+    c[200] = [c[200][0], 80];
+    const s = GraphCore.smooth_curve(c, 5);
+    assert.ok(s[200][1] < 75 && s[200][1] > 70);
+    assert.ok(s[195][1] > 70);
+});
+
+test('find_offset moves with the curve level', () => {
+    const a = GraphCore.find_offset(flat(70), 60);
+    const b = GraphCore.find_offset(flat(80), 60);
+    assert.ok(Number.isFinite(a));
+    assert.ok(Math.abs(a - b - 10) < 0.05);
+    // A louder target needs more gain
+    assert.ok(GraphCore.find_offset(flat(70), 70) > a);
+});
+
+test('find_offset takes curves on other frequencies', () => {
+    const c = GraphCore.f_values.filter((f, i) => i % 2 === 0).map(f => [f, 70]);
+    assert.ok(Math.abs(GraphCore.find_offset(c, 60) - GraphCore.find_offset(flat(70), 60)) < 0.5);
+});
+
+test('avgCurves averages sound pressure, avgCurvesArithmetic dB values', () => {
+    const curves = [[[100, 0], [200, 6]], [[100, -200], [200, 6]]];
+    const p = GraphCore.avgCurves(curves);
+    assert.strictEqual(p[0][0], 100);
+    assert.ok(Math.abs(p[0][1] - 20 * Math.log10(0.5)) < 1e-9);
+    assert.ok(Math.abs(p[1][1] - 6) < 1e-9);
+    assert.deepStrictEqual(GraphCore.avgCurvesArithmetic(curves), [[100, -100], [200, 6]]);
+});
+
+test('calculateInclusionWindows takes the 5th and 95th percentile', () => {
+    const channels = Array.from({ length: 20 }, (_, i) => [[100, i + 1], [200, -(i + 1)]]);
+    const [upper, lower] = GraphCore.calculateInclusionWindows(channels);
+    assert.deepStrictEqual(upper, [[100, 19], [200, -2]]);
+    assert.deepStrictEqual(lower, [[100, 1], [200, -20]]);
+});
+
+test('calculateConfidenceIntervals and calculateMinMaxSpread bound the values', () => {
+    const channels = [[[100, 1]], [[100, 3]]];
+    const [upper, lower] = GraphCore.calculateConfidenceIntervals(channels);
+    assert.ok(Math.abs(upper[0][1] - (2 + 1.645 / Math.sqrt(2))) < 1e-9);
+    assert.ok(Math.abs(lower[0][1] - (2 - 1.645 / Math.sqrt(2))) < 1e-9);
+    assert.deepStrictEqual(GraphCore.calculateMinMaxSpread(channels), [[[100, 3]], [[100, 1]]]);
+});
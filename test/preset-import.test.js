@@ -0,0 +1,218 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Equalizer = require('../assets/js/equalizer.js');
+const PresetImport = require('../assets/js/preset-import.js');
+const FileExport = require('../assets/js/file-export.js');
+
+PresetImport.init({ Equalizer });
+
+const near = (actual, expected, tolerance) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected} ±${tolerance}`);
+const param = (name, value) => `\t\t\t<val e="${name}" v="${value.toFixed(2)},"/>\n`;
+const roomEQ = (name, bands, gain) => `\t<${name}>\n\t\t<Params>\n` + param("REQ Delay", 0) +
+    bands.map((b, i) => param(`REQ Band${i + 1} Freq`, b[0]) + param(`REQ Band${i + 1} Q`, b[1]) +
+        param(`REQ Band${i + 1} Gain`, b[2])).join("") +
+    param("REQ Band1Type", 1) + param("REQ Band8 Type", 0) + param("REQ Band9 Type", 1) +
+    param("Chan Gain", gain) + `\t\t</Params>\n\t</${name}>\n`;
+const flatBands = new Array(9).fill([7500, 0.7, 0]);
+
+test('sniffs Equalizer APO and AutoEq ParametricEQ.txt', () => {
+    const preset = PresetImport.parse("Preamp: -6.3 dB\r\nFilter 1: ON LSC Fc 105 Hz Gain 5.5 dB Q 0.70\r\n" +
+        "Filter 2: ON PK Fc 1234.5 Hz Gain -2.1 dB Q 1.41\r\nFilter 3: OFF HSC 12 dB Fc 10000 Hz Gain 3 dB\r\n", "ParametricEQ.txt");
+    assert.strictEqual(preset.format, "Equalizer APO");
+    assert.strictEqual(preset.preamp, -6.3);
+    assert.strictEqual(preset.channels, null);
+    assert.deepStrictEqual(preset.filters.slice(0, 2), [
+        { disabled: false, type: "LSQ", freq: 105, q: 0.7, gain: 5.5 },
+        { disabled: false, type: "PK", freq: 1235, q: 1.41, gain: -2.1 }
+    ]);
+    // A 12 dB/oct slope of a Q shelf is the cookbook S = 1, Q 0.707 at any gain
+    assert.strictEqual(preset.filters[2].disabled, true);
+    assert.strictEqual(preset.filters[2].type, "HSQ");
+    near(preset.filters[2].q, Math.SQRT1_2, 1e-3);
+});
+
+test('sniffs REW filter settings with bandwidth in octaves', () => {
+    const text = "Filter Settings file\r\n\r\nRoom EQ V5.20\r\n" +
+        "Filter  1: ON  PK       Fc   63.0 Hz  Gain  -4.5 dB  BW Oct 1.000\r\n" +
+        "Filter  2: ON  LS 6dB   Fc   200 Hz  Gain   3.0 dB\r\n" +
+        "Filter  3: OFF None\r\n";
+    const preset = PresetImport.parse(text, "eq.txt");
+    assert.strictEqual(preset.format, "REW");
+    assert.strictEqual(preset.filters.length, 2);
+    near(preset.filters[0].q, Math.SQRT2, 1e-9);
+    assert.deepStrictEqual(preset.filters[1], { disabled: false, type: "LS6", freq: 200, q: 0, gain: 3 });
+    assert.strictEqual(PresetImport.parse("Filter 1: ON PK Fc 63 Hz Gain -4.5 dB Q 1", "rew-export.txt").format, "REW");
+});
+
+test('sniffs GraphicEQ and JamesDSP graphic presets', () => {
+    const graphic = PresetImport.parse("# AutoEq\nGraphicEQ: 20 -1.2; 1000 0; 20000 3.5\n");
+    assert.strictEqual(graphic.format, "GraphicEQ");
+    assert.strictEqual(graphic.filters, null);
+    assert.deepStrictEqual(graphic.graphicEQ, [[20, -1.2], [1000, 0], [20000, 3.5]]);
+    const freqs = [25, 40, 63, 100, 160, 250, 400, 630, 1000, 1600, 2500, 4000, 6300, 10000, 16000];
+    const james = PresetImport.parse(freqs.concat(freqs.map((f, i) => i - 7)).join(";"));
+    assert.strictEqual(james.format, "JamesDSP");
+    assert.deepStrictEqual(james.graphicEQ[0], [25, -7]);
+    assert.deepStrictEqual(james.graphicEQ[14], [16000, 7]);
+});
+
+test('sniffs CSV filter lists and AutoEq result curves', () => {
+    const filters = PresetImport.parse("Type,Frequency,Gain,Q\nPK,1000,-3,2\nLSC,100,4,0.7\n");
+    assert.strictEqual(filters.format, "CSV");
+    assert.deepStrictEqual(filters.filters.map(f => f.type), ["PK", "LSQ"]);
+    const curve = PresetImport.parse("frequency,raw,equalization,parametric_eq\n20,1,-2,-1.5\n20000,0,4,3.5\n");
+    assert.strictEqual(curve.format, "AutoEq CSV");
+    assert.deepStrictEqual(curve.graphicEQ, [[20, -1.5], [20000, 3.5]]);
+    assert.throws(() => PresetImport.parse("name,level\nx,1\n"), /no frequency column/);
+});
+
+test('sniffs Poweramp and EasyEffects JSON', () => {
+    const poweramp = PresetImport.parse(JSON.stringify([{ name: "AutoEq", preamp: -4, parametric: true, bands: [
+        { type: 1, channels: 0, frequency: 105, q: 0.7, gain: 4, color: 0 },
+        { type: 3, channels: 0, frequency: 2000.4, q: 2, gain: -3, color: 0 }
+    ] }]));
+    assert.strictEqual(poweramp.format, "Poweramp");
+    assert.strictEqual(poweramp.preamp, -4);
+    assert.deepStrictEqual(poweramp.filters[1], { disabled: false, type: "PK", freq: 2000, q: 2, gain: -3 });
+    const band = (type, frequency, gain) => ({ type, frequency, gain, q: 1, mute: false, mode: "RLC (BT)", slope: "x1", solo: false });
+    const easy = PresetImport.parse(JSON.stringify({ output: { "equalizer#0": {
+        "input-gain": -2, "num-bands": 2, "split-channels": true,
+        left: { band0: band("Bell", 100, 3), band1: band("Hi-shelf", 8000, -2), band2: band("Bell", 50, 9) },
+        right: { band0: band("Bell", 120, 3), band1: band("Hi-pass", 20, 0) }
+    } } }));
+    assert.strictEqual(easy.format, "EasyEffects");
+    assert.strictEqual(easy.preamp, -2);
+    assert.deepStrictEqual(easy.channels.map(c => c.map(f => f.type + f.freq)), [["PK100", "HSQ8000"], ["PK120", "HPQ20"]]);
+    assert.throws(() => PresetImport.parse('{"bands": 3}'), /Unknown JSON preset/);
+});
+
+test('sniffs TotalMix Room EQ and PEQ presets', () => {
+    const bands = flatBands.slice();
+    bands[0] = [80, 0.7, 4];
+    bands[1] = [1000, 2, -3];
+    bands[8] = [10000, 0.7, 2];
+    const room = PresetImport.parse("<Preset>\n" + roomEQ("Room EQ L", bands, -4) + roomEQ("Room EQ R", bands, -4) + "</Preset>\n");
+    assert.strictEqual(room.format, "TotalMix Room EQ");
+    assert.strictEqual(room.channels, null);
+    assert.strictEqual(room.preamp, -4);
+    assert.deepStrictEqual(room.filters, [
+        { disabled: false, type: "LSQ", freq: 80, q: 0.7, gain: 4 },
+        { disabled: false, type: "PK", freq: 1000, q: 2, gain: -3 },
+        { disabled: false, type: "HSQ", freq: 10000, q: 0.7, gain: 2 }
+    ]);
+    const peq = PresetImport.parse("<Preset>\n\t<Equalizer>\n\t\t<Params>\n" +
+        param("Band1 Freq", 3000) + param("Band1 Q", 3) + param("Band1 Gain", 1.5) +
+        param("Band1 Type", 0) + param("Band3 Type", 0) + "\t\t</Params>\n\t</Equalizer>\n</Preset>\n");
+    assert.strictEqual(peq.format, "TotalMix PEQ");
+    assert.deepStrictEqual(peq.filters, [{ disabled: false, type: "PK", freq: 3000, q: 3, gain: 1.5 }]);
+    assert.throws(() => PresetImport.parse("<Preset></Preset>"), /no Room EQ or Equalizer section/);
+});
+
+test('keeps differing TotalMix Room EQ channels and gains per side', () => {
+    const left = flatBands.slice(), right = flatBands.slice();
+    left[1] = [1000, 2, -3];
+    right[1] = [1200, 2, -3];
+    const room = PresetImport.parse("<Preset>\n" + roomEQ("Room EQ L", left, -1) + roomEQ("Room EQ R", right, -2.5) + "</Preset>\n");
+    assert.deepStrictEqual(room.channels.map(c => c.map(f => f.freq)), [[1000], [1200]]);
+    assert.strictEqual(room.preamp, null);
+    assert.deepStrictEqual(room.channelPreamps, [
+        { gain: -1, channel: "L", sides: [0] },
+        { gain: -2.5, channel: "R", sides: [1] }
+    ]);
+});
+
+test('rejects unknown formats and combines presets in order', () => {
+    assert.throws(() => PresetImport.parse("just some notes"), /Unrecognized preset format/);
+    const a = PresetImport.parse("Preamp: -2 dB\nFilter 1: ON PK Fc 100 Hz Gain 2 dB Q 1\n");
+    const b = PresetImport.parse("Preamp: -1 dB\nChannel: R\nFilter 1: ON PK Fc 200 Hz Gain 2 dB Q 1\n");
+    const both = PresetImport.combine([a, b]);
+    assert.strictEqual(both.format, "Equalizer APO + Equalizer APO");
+    assert.strictEqual(both.preamp, -3);
+    assert.deepStrictEqual(both.channels.map(c => c.map(f => f.freq)), [[100], [100, 200]]);
+    assert.throws(() => PresetImport.combine([a, PresetImport.parse("GraphicEQ: 20 0; 20000 1")]), /can not be combined/);
+});
+
+test('fitGraphicEQ fits whole Hz filters and reports their error', () => {
+    const points = [[20, 4], [100, 4], [300, 0], [2000, 0], [3000, 3], [4000, 0], [20000, 0]];
+    const range = Equalizer.config.AutoEQRange;
+    const fit = PresetImport.fitGraphicEQ(points, 6);
+    assert.strictEqual(Equalizer.config.AutoEQRange, range);
+    assert.ok(fit.filters.length > 0 && fit.filters.length <= 6);
+    fit.filters.forEach(f => {
+        assert.ok(Number.isInteger(f.freq), `freq ${f.freq}`);
+        assert.ok(["PK", "LSQ", "HSQ"].includes(f.type));
+        assert.strictEqual(f.disabled, false);
+    });
+    assert.ok(fit.error.rms <= fit.error.max && fit.error.max < 1.5, JSON.stringify(fit.error));
+});
+
+test('Equalizer APO export reads back the same filters', () => {
+    const filters = [
+        { disabled: false, type: "LSQ", freq: 105, q: 0.707, gain: 5.5 },
+        { disabled: false, type: "PK", freq: 1235, q: 1.41, gain: -2.1 },
+        { disabled: true, type: "PK", freq: 3000, q: 4, gain: 3 },
+        { disabled: false, type: "HSQ", freq: 10000, q: 0.5, gain: -4 },
+        { disabled: false, type: "LS6", freq: 60, q: 0, gain: 2 },
+        { disabled: false, type: "HS12", freq: 12000, q: 0, gain: -1.5 },
+        { disabled: false, type: "HPQ", freq: 20, q: 0.707, gain: 0 },
+        { disabled: false, type: "LPQ", freq: 19000, q: 0.5, gain: 0 },
+        { disabled: false, type: "NO", freq: 6000, q: 8, gain: 0 },
+        { disabled: false, type: "BP", freq: 500, q: 0.3, gain: 0 },
+        { disabled: false, type: "AP", freq: 800, q: 0.707, gain: 0 }
+    ];
+    const text = FileExport.apo({ header: ["# Sample rate: 48000 Hz"], preamp: -6.04, channels: [filters] });
+    const preset = PresetImport.parse(text, "Filters.txt");
+    assert.strictEqual(preset.format, "Equalizer APO");
+    assert.strictEqual(preset.preamp, -6);
+    assert.strictEqual(preset.channels, null);
+    assert.deepStrictEqual(preset.filters, filters);
+    // Read by the EQ panel, not kept as comments
+    assert.deepStrictEqual(preset.comments, []);
+    assert.deepStrictEqual(preset.warnings, []);
+});
+
+test('Equalizer APO export writes 24 dB/oct filters as Butterworth sections', () => {
+    const hp24 = [{ disabled: false, type: "HP24", freq: 30, q: 0, gain: 0 }];
+    const preset = PresetImport.parse(FileExport.apo({ preamp: 0, channels: [hp24] }));
+    assert.deepStrictEqual(preset.filters.map(f => f.type), ["HPQ", "HPQ"]);
+    const freqs = [10, 20, 30, 60, 1000];
+    const gains = fs => Equalizer.calc_gains(freqs, Equalizer.filters_to_coeffs(fs));
+    gains(preset.filters).forEach((g, i) => near(g, gains(hp24)[i], 0.01));
+});
+
+test('Equalizer APO channel blocks, preamps, includes and comments read back', () => {
+    const text = "# My headphones\r\nPreamp: -3 dB\r\nInclude: device.txt\r\n" +
+        "Channel: L\r\nPreamp: -1.5 dB\r\n# Left only\r\nFilter 1: ON PK Fc 100 Hz Gain 3.0 dB Q 1.000\r\n" +
+        "Channel: R\r\nFilter 1: ON PK Fc 120 Hz Gain 3.0 dB Q 1.000\r\n" +
+        "Channel: C LFE\r\nPreamp: -2 dB\r\nInclude: sub.txt\r\n";
+    const preset = PresetImport.parse(text);
+    assert.deepStrictEqual(preset.channelPreamps, [
+        { gain: -1.5, channel: "L", sides: [0] },
+        { gain: -2, channel: "C LFE", sides: [] }
+    ]);
+    assert.deepStrictEqual(preset.comments, [{ line: "# My headphones", channel: null }, { line: "# Left only", channel: "L" }]);
+    assert.deepStrictEqual(preset.includes, [
+        { line: "Include: device.txt", channel: null },
+        { line: "Include: sub.txt", channel: "C LFE" }
+    ]);
+    const again = PresetImport.parse(FileExport.apo(preset));
+    ["preamp", "channels", "warnings"].forEach(key => assert.deepStrictEqual(again[key], preset[key], key));
+    // Other channels are written before the L and R filters
+    const byChannel = lines => lines.slice().sort((a, b) => String(a.channel).localeCompare(String(b.channel)));
+    ["channelPreamps", "comments", "includes"].forEach(key =>
+        assert.deepStrictEqual(byChannel(again[key]), byChannel(preset[key]), key));
+});
+
+test('Equalizer APO export keeps shared filters for all channels after other channel blocks', () => {
+    const filters = [{ disabled: false, type: "PK", freq: 100, q: 1, gain: 3 }];
+    const text = FileExport.apo({ preamp: -3, channels: [filters],
+        includes: [{ line: "Include: sub.txt", channel: "C LFE" }] });
+    assert.match(text, /Channel: C LFE\r\nInclude: sub.txt\r\nChannel: all\r\nFilter 1:/);
+    const preset = PresetImport.parse(text);
+    assert.strictEqual(preset.channels, null);
+    assert.deepStrictEqual(preset.filters, filters);
+    assert.deepStrictEqual(preset.includes, [{ line: "Include: sub.txt", channel: "C LFE" }]);
+});
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+/**
+ * Mock TotalMix OSC Bridge
+ * Stand-in for totalmix-osc-bridge to develop and test the TotalMix panel without RME hardware.
+ * Serves the same HTTP contract, keeps each channel's 12 bands (Room EQ 1-9, PEQ 1-3) in memory
+ * and rejects what TotalMix can not load, using the limits of the "totalmix" device profile.
+ *
+ * API:
+ *   GET  /api/health                 { status, version, mock }
+ *   GET  /api/channels               { channels: [{ index, name }] }
+ *   GET  /api/channel/:n/eq          { channel, filters: [12 bands] }, Room EQ 1-9 then PEQ 1-3
+ *   POST /api/channel/:n/eq          { filters: [12 bands] } replaces all bands, missing ones are flat
+ *   GET  /mock/state                 Channels, bands and error settings
+ *   POST /mock/config                Change error settings, same keys as the options below
+ *   POST /mock/reset                 Flat EQ on every channel
+ *
+ * Options (command line --kebab-case or POST /mock/config):
+ *   port 8765, host 127.0.0.1, channels 8, version "1.0.0",
+ *   latency ms before each response, failRate 0-1 of requests answered with 500,
+ *   fail / hang regex of paths always answered with 500 / never answered,
+ *   noHealth to act like a bridge without /api/health, corsOrigin allowed origin ("*")
+ *
+ * Usage:
+ *   node tools/mock-totalmix-bridge.js --channels 4 --latency 30
+ *   const { createBridge } = require("./tools/mock-totalmix-bridge.js");
+ *   let bridge = createBridge({ port: 0 }); bridge.listen(() => ...);
+ */
+'use strict';
+
+const http = require("http");
+const DeviceProfiles = require("../assets/js/device-profiles.js");
+
+// ===========================================
+// Constants
+// ===========================================
+const defaults = {
+    port: 8765,
+    host: "127.0.0.1",
+    channels: 8,
+    version: "1.0.0",
+    latency: 0,
+    failRate: 0,
+    fail: null,
+    hang: null,
+    noHealth: false,
+    corsOrigin: "*"
+};
+const channelNames = ["AN 1", "AN 2", "AN 3", "AN 4", "PH 5", "PH 6", "AES L", "AES R"];
+const profile = DeviceProfiles.get("totalmix");
+const slots = DeviceProfiles.getSlots(profile, 0);
+// TotalMix resets a band to this
+const flatBand = { type: "PK", freq: 1000, q: 1, gain: 0 };
+
+// ===========================================
+// Device State
+// ===========================================
+function createDevice(count) {
+    return new Array(count).fill(null).map((_, i) => ({
+        index: i,
+        name: channelNames[i] || "ADAT " + (i - channelNames.length + 1),
+        bands: slots.map(() => ({ ...flatBand }))
+    }));
+}
+
+function quantize(value, step) {
+    return step ? parseFloat((Math.round(value / step) * step).toFixed(2)) : value;
+}
+
+function checkBand(band, index) {
+    // Error message for a band TotalMix can not load, or null
+    let slot = slots[index];
+    if (!slot) {
+        return `Band index ${index} out of range (0-${slots.length - 1})`;
+    }
+    if (!band || typeof band !== "object") {
+        return `${slot.name}: band must be an object`;
+    }
+    if (!slot.types.includes(band.type)) {
+        return `${slot.name}: type ${band.type} not supported (${slot.types.join(", ")})`;
+    }
+    let checks = [["freq", profile.freqRange], ["q", profile.qRange], ["gain", profile.gainRange]];
+    for (let [key, range] of checks) {
+        let value = band[key];
+        if (typeof value !== "number" || !isFinite(value)) {
+            return `${slot.name}: ${key} must be a number`;
+        }
+        if (value < range[0] || value > range[1]) {
+            return `${slot.name}: ${key} ${value} outside ${range[0]} - ${range[1]}`;
+        }
+    }
+    return null;
+}
+
+function loadBand(band, index) {
+    // Values are stored with the precision of the slot, like the device does
+    let step = slots[index].step;
+    return {
+        type: band.type,
+        freq: quantize(band.freq, step.freq),
+        q: quantize(band.q, step.q),
+        gain: quantize(band.gain, step.gain)
+    };
+}
+
+function setEQ(channel, body) {
+    // Validate everything first so a rejected request changes nothing
+    if (!Array.isArray(body.filters)) {
+        return "Body needs filters";
+    }
+    if (body.filters.length > slots.length) {
+        return `Too many filters: ${body.filters.length} (max ${slots.length})`;
+    }
+    let bands = slots.map((_, i) => body.filters[i] || flatBand);
+    for (let i = 0; i < bands.length; i++) {
+        let error = checkBand(bands[i], i);
+        if (error) {
+            return error;
+        }
+    }
+    channel.bands = bands.map(loadBand);
+    return null;
+}
+
+// ===========================================
+// Server
+// ===========================================
+function createBridge(options = {}) {
+    let config = { ...defaults, ...options };
+    let device = createDevice(config.channels);
+
+    function send(res, status, data) {
+        res.writeHead(status, {
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": config.corsOrigin,
+            "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+            "Access-Control-Allow-Headers": "Content-Type"
+        });
+        res.end(JSON.stringify(data));
+    }
+
+    function readBody(req) {
+        return new Promise((resolve, reject) => {
+            let chunks = [];
+            req.on("data", c => chunks.push(c));
+            req.on("end", () => {
+                try {
+                    resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : {});
+                } catch (e) {
+                    reject(new Error("Invalid JSON body"));
+                }
+            });
+            req.on("error", reject);
+        });
+    }
+
+    function getChannel(n) {
+        return device[parseInt(n)] || null;
+    }
+
+    async function route(req, path) {
+        // [status, data]
+        let m;
+        if (req.method === "GET" && path === "/api/health") {
+            return config.noHealth ? [404, { error: "Not found" }] :
+                [200, { status: "ok", version: config.version, mock: true }];
+        }
+        if (req.method === "GET" && path === "/api/channels") {
+            return [200, { channels: device.map(ch => ({ index: ch.index, name: ch.name })) }];
+        }
+        if ((m = path.match(/^\/api\/channel\/(\d+)\/eq$/))) {
+            let channel = getChannel(m[1]);
+            if (!channel) {
+                return [404, { error: `Channel ${m[1]} not found` }];
+            }
+            if (req.method === "POST") {
+                let error = setEQ(channel, await readBody(req));
+                if (error) {
+                    return [400, { error }];
+                }
+            } else if (req.method !== "GET") {
+                return [405, { error: "Method not allowed" }];
+            }
+            return [200, { channel: channel.index, filters: channel.bands }];
+        }
+        if (req.method === "GET" && path === "/mock/state") {
+            return [200, { config, channels: device }];
+        }
+        if (req.method === "POST" && path === "/mock/config") {
+            let changes = await readBody(req);
+            Object.keys(changes).filter(k => k in defaults).forEach(k => config[k] = changes[k]);
+            if (changes.channels) {
+                device = createDevice(config.channels);
+            }
+            return [200, { config }];
+        }
+        if (req.method === "POST" && path === "/mock/reset") {
+            device = createDevice(config.channels);
+            return [200, { ok: true }];
+        }
+        return [404, { error: "Not found" }];
+    }
+
+    let server = http.createServer(async (req, res) => {
+        let path = req.url.split("?")[0];
+        if (req.method === "OPTIONS") {
+            return send(res, 204, {});
+        }
+        // Error injection, control endpoints are never affected
+        if (!path.startsWith("/mock/")) {
+            if (config.hang && new RegExp(config.hang).test(path)) {
+                return;
+            }
+            if (config.latency) {
+                await new Promise(resolve => setTimeout(resolve, config.latency));
+            }
+            if ((config.fail && new RegExp(config.fail).test(path)) || Math.random() < config.failRate) {
+                return send(res, 500, { error: "Injected failure" });
+            }
+        }
+        try {
+            let [status, data] = await route(req, path);
+            send(res, status, data);
+        } catch (e) {
+            send(res, 400, { error: e.message });
+        }
+    });
+
+    return {
+        server,
+        getDevice: () => device,
+        listen: (callback) => server.listen(config.port, config.host, callback),
+        close: (callback) => server.close(callback)
+    };
+}
+
+// ===========================================
+// Command Line
+// ===========================================
+function parseArgs(argv) {
+    let options = {};
+    for (let i = 0; i < argv.length; i++) {
+        let m = argv[i].match(/^--([a-z-]+)$/);
+        if (!m) {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+        let key = m[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (!(key in defaults)) {
+            throw new Error(`Unknown option: --${m[1]}`);
+        }
+        if (typeof defaults[key] === "boolean") {
+            options[key] = true;
+        } else {
+            let value = argv[++i];
+            options[key] = (typeof defaults[key] === "number") ? parseFloat(value) : value;
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    let bridge = createBridge(options);
+    bridge.listen(() => {
+        let { address, port } = bridge.server.address();
+        console.log(`Mock TotalMix bridge listening on http://${address}:${port}`);
+    });
+}
+
+module.exports = { createBridge, parseArgs };
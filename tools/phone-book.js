@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+/**
+ * Phone Book Tool
+ * Checks data/phone_book.json against tools/phone-book.schema.json and the measurement files
+ * next to it, and adds measurements the phone book does not list yet. Files are found the way
+ * the graph loads them, "<file> <channel><sample>.txt" for every channel of default_channels
+ * and, when num_samples is set, samples 1 to num_samples, both read from the page's config.js.
+ *
+ * Report kinds:
+ *   schema      Entry does not match the schema
+ *   collab      collab is not the name of a brand in the phone book
+ *   variants    suffix/prefix without a file list, suffix not naming every file, bad prefix
+ *   duplicate   Brand, phone (brand and name) or file listed more than once
+ *   missing     Listed file without measurements, or with some channels/samples missing
+ *   unreadable  Measurement file without frequency response data
+ *   orphan      Measurement file no entry lists, or .txt file not named like a measurement
+ *
+ * New measurements go to the brand their name starts with, else to a new brand named after
+ * the first word, or all to --brand. When the brand already lists a phone of that name, an
+ * entry of one file which has no measurements is pointed at the new file ("updated"), any
+ * other entry is left alone and the measurement is not added ("clash"). Other entries are
+ * never changed.
+ *
+ * Usage:
+ *   node tools/phone-book.js check --config headphones/config.js
+ *   node tools/phone-book.js build --brand "Brand" --dry-run
+ *   const { check, build } = require("./tools/phone-book.js");
+ *   let { report } = check({ config: "config.js" });
+ */
+'use strict';
+
+const fs = require("fs");
+const path = require("path");
+const GraphCore = require("../assets/js/graph-core.js");
+const schema = require("./phone-book.schema.json");
+
+// ===========================================
+// Constants
+// ===========================================
+const defaults = {
+    config: "config.js",
+    dir: null,          // Measurement directory, DIR of the config
+    book: null,         // Phone book, PHONE_BOOK of the config or phone_book.json in dir
+    brand: null,
+    dryRun: false
+};
+// Used by the graph when the config does not set them
+const defaultChannels = ["L", "R"];
+const defaultDir = "data/";
+
+// ===========================================
+// Settings
+// ===========================================
+function loadSettings(options) {
+    options = { ...defaults, ...options };
+    let text = fs.readFileSync(options.config, "utf8"),
+        base = path.dirname(options.config),
+        setting = (name, pattern) => {
+            let m = text.match(new RegExp("\\b" + name + "\\s*=\\s*" + pattern));
+            return m && m[1];
+        };
+    let channels = setting("default_channels", "(\\[[^\\]]*\\])"),
+        samples = setting("num_samples", "(\\d+)"),
+        dir = options.dir || path.join(base, setting("DIR", "[\"']([^\"']*)[\"']") || defaultDir),
+        book = setting("PHONE_BOOK", "[\"']([^\"']*)[\"']");
+    return {
+        channels: channels ? JSON.parse(channels.replace(/'/g, "\"")) : defaultChannels,
+        samples: samples ? parseInt(samples) : 0,
+        dir: dir,
+        book: options.book || (book && !options.dir ? path.join(base, book) : path.join(dir, "phone_book.json"))
+    };
+}
+
+// ===========================================
+// Schema
+// ===========================================
+const typeOf = v => Array.isArray(v) ? "array" : v === null ? "null" : typeof v;
+
+function validateSchema(value, node, at) {
+    // The JSON schema keywords used by phone-book.schema.json
+    at = at || "";
+    let where = at || "phone book";
+    if (node.$ref) {
+        node = node.$ref.replace(/^#\//, "").split("/").reduce((s, key) => s[key], schema);
+    }
+    if (node.anyOf) {
+        let results = node.anyOf.map(s => validateSchema(value, s, at));
+        if (results.some(r => !r.length)) return [];
+        // Report the branch for the value's type, e.g. the unknown key of a phone object
+        let typed = results.filter(r => !r.some(e => e.typeError && e.at === at));
+        if (typed.length === 1) return typed[0];
+        let types = results.map(r => r[0].expected).filter(t => t);
+        return [{ at, message: `${where} should be ${types.join(" or ")}`, typeError: true, expected: types.join(" or ") }];
+    }
+    if (node.type) {
+        let types = [].concat(node.type);
+        if (!types.includes(typeOf(value))) {
+            let expected = types.join(" or ");
+            return [{ at, message: `${where} should be ${expected}`, typeError: true, expected }];
+        }
+    }
+    let errors = [];
+    if (typeof value === "string" && value.length < (node.minLength || 0)) {
+        errors.push({ at, message: `${where} should not be empty` });
+    }
+    if (Array.isArray(value)) {
+        if (value.length < (node.minItems || 0)) {
+            errors.push({ at, message: `${where} should have at least ${node.minItems} item(s)` });
+        }
+        if (node.items) {
+            value.forEach((v, i) => errors.push(...validateSchema(v, node.items, `${at}[${i}]`)));
+        }
+    }
+    if (typeOf(value) === "object") {
+        (node.required || []).filter(key => !(key in value))
+            .forEach(key => errors.push({ at, message: `${where} is missing "${key}"` }));
+        Object.keys(value).forEach(key => {
+            if (node.properties && node.properties[key]) {
+                errors.push(...validateSchema(value[key], node.properties[key], `${at}.${key}`));
+            } else if (node.additionalProperties === false) {
+                errors.push({ at, message: `${where} has unknown key "${key}"` });
+            }
+        });
+    }
+    return errors;
+}
+
+// ===========================================
+// Measurement Files
+// ===========================================
+function scan(settings) {
+    // { measurements: Map of name to Map of "<channel><sample>" to file, others: [file] }
+    let escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        pattern = new RegExp("^(.+) (" + settings.channels.map(escape).join("|") + ")(\\d*)\\.txt$"),
+        measurements = new Map(),
+        others = [];
+    fs.readdirSync(settings.dir, { withFileTypes: true })
+        .filter(e => e.isFile() && e.name.endsWith(".txt"))
+        .map(e => e.name).sort()
+        .forEach(file => {
+            let m = file.match(pattern),
+                sample = m && (m[3] ? parseInt(m[3]) : 0);
+            if (!m || (settings.samples ? !(sample >= 1 && sample <= settings.samples) : m[3])) {
+                return others.push(file);
+            }
+            if (!measurements.has(m[1])) measurements.set(m[1], new Map());
+            measurements.get(m[1]).set(m[2] + m[3], file);
+        });
+    return { measurements, others };
+}
+
+function expectedChannels(settings) {
+    let samples = settings.samples ? Array.from({ length: settings.samples }, (_, i) => i + 1) : [""];
+    return [].concat(...settings.channels.map(c => samples.map(n => c + n)));
+}
+
+// ===========================================
+// Phone Book Entries
+// ===========================================
+function listEntries(book) {
+    // Phones of the well formed brands, with the files the graph would load for them
+    let entries = [];
+    (Array.isArray(book) ? book : []).forEach((brand, b) => {
+        if (typeOf(brand) !== "object" || typeof brand.name !== "string" || !Array.isArray(brand.phones)) return;
+        brand.phones.forEach((phone, p) => {
+            let at = `[${b}].phones[${p}]`;
+            if (typeof phone === "string") {
+                return entries.push({ at, brand, phone: { name: phone }, files: [phone] });
+            }
+            if (typeOf(phone) !== "object" || typeof phone.name !== "string") return;
+            let f = phone.file || phone.name;
+            entries.push({ at, brand, phone, files: [].concat(f).filter(n => typeof n === "string") });
+        });
+    });
+    return entries;
+}
+
+function checkBook(book, settings, files) {
+    let report = [],
+        add = (kind, message) => report.push({ kind, message });
+    validateSchema(book, schema).forEach(e => add("schema", e.message));
+    let brands = Array.isArray(book) ? book.filter(b => b && typeof b.name === "string") : [],
+        brandNames = new Set(brands.map(b => b.name)),
+        entries = listEntries(book),
+        label = e => `${e.brand.name} ${e.phone.name} (${e.at})`;
+
+    let seen = new Set();
+    brands.forEach(b => {
+        if (seen.has(b.name)) add("duplicate", `Brand "${b.name}" is listed more than once`);
+        seen.add(b.name);
+    });
+    let names = new Map(), fileOwners = new Map();
+    entries.forEach(e => {
+        let { phone } = e;
+        if (phone.collab !== undefined && !brandNames.has(phone.collab)) {
+            add("collab", `${label(e)}: collab "${phone.collab}" is not a brand`);
+        }
+        if ((phone.suffix || phone.prefix !== undefined) && !Array.isArray(phone.file)) {
+            add("variants", `${label(e)}: suffix and prefix are only used with a file list`);
+        } else if (Array.isArray(phone.suffix) && phone.suffix.length !== phone.file.length) {
+            add("variants", `${label(e)}: ${phone.suffix.length} suffixes for ${phone.file.length} files`);
+        }
+        if (typeof phone.prefix === "string") {
+            try {
+                new RegExp("^" + phone.prefix);
+            } catch (err) {
+                add("variants", `${label(e)}: prefix is not a valid regular expression`);
+            }
+        }
+        // The graph names phones "<brand> x <collab> <name>"
+        let fullName = e.brand.name + (phone.collab ? " x " + phone.collab : "") + " " + phone.name;
+        if (names.has(fullName)) add("duplicate", `${label(e)}: "${fullName}" is also ${names.get(fullName)}`);
+        names.set(fullName, e.at);
+        e.files.forEach(f => {
+            if (fileOwners.has(f)) add("duplicate", `${label(e)}: file "${f}" is also listed by ${fileOwners.get(f)}`);
+            fileOwners.set(f, e.at);
+        });
+    });
+
+    let expected = expectedChannels(settings);
+    entries.forEach(e => e.files.forEach(f => {
+        let found = files.measurements.get(f);
+        if (!found) {
+            add("missing", `${label(e)}: no measurements for "${f}"`);
+        } else if (found.size < expected.length) {
+            add("missing", `${label(e)}: "${f}" has no ${expected.filter(c => !found.has(c)).join(", ")}`);
+        }
+    }));
+    files.measurements.forEach((found, name) => {
+        found.forEach(file => {
+            if (GraphCore.tsvParse(fs.readFileSync(path.join(settings.dir, file), "utf8")).length < 2) {
+                add("unreadable", `${file} has no frequency response data`);
+            }
+        });
+        if (!fileOwners.has(name)) add("orphan", `"${name}" (${[...found.values()].join(", ")}) is not in the phone book`);
+    });
+    files.others.forEach(file => add("orphan", `${file} is not named "<file> <${settings.channels.join("|")}>` +
+        (settings.samples ? `<1-${settings.samples}>` : "") + `.txt"`));
+    return report;
+}
+
+// ===========================================
+// Commands
+// ===========================================
+function readBook(file, missingOk) {
+    if (missingOk && !fs.existsSync(file)) return [];
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        throw new Error(`${file} is not valid JSON: ${e.message}`);
+    }
+}
+
+function check(options) {
+    let settings = loadSettings(options),
+        book = readBook(settings.book);
+    return { settings, report: checkBook(book, settings, scan(settings)) };
+}
+
+function build(options) {
+    options = { ...defaults, ...options };
+    let settings = loadSettings(options),
+        book = readBook(settings.book, true),
+        files = scan(settings);
+    if (!Array.isArray(book)) {
+        throw new Error(`${settings.book} is not a list of brands`);
+    }
+    let listed = new Set([].concat(...listEntries(book).map(e => e.files))),
+        added = [],
+        updated = [],
+        clashes = [];
+    let getBrand = name => book.find(b => b.name === name) || (book.push({ name, phones: [] }), book[book.length - 1]);
+    // The longest brand name a measurement starts with
+    let matchBrand = name => book.filter(b => typeof b.name === "string" && Array.isArray(b.phones) &&
+        name.startsWith(b.name + " ")).sort((a, b) => b.name.length - a.name.length)[0];
+    [...files.measurements.keys()].filter(name => !listed.has(name)).forEach(name => {
+        let brand = options.brand ? getBrand(options.brand) : matchBrand(name) || getBrand(name.split(" ")[0]);
+        let phone = name.startsWith(brand.name + " ") ? name.slice(brand.name.length + 1) : name;
+        let i = brand.phones.findIndex(p => (typeOf(p) === "object" ? p.name : p) === phone);
+        if (i < 0) {
+            brand.phones.push(phone === name ? name : { name: phone, file: name });
+            added.push(`${brand.name}: ${phone}`);
+            return;
+        }
+        let entry = brand.phones[i],
+            file = typeof entry === "string" ? entry : entry.file || entry.name;
+        if (typeof file === "string" && !files.measurements.has(file) && !entry.suffix && entry.prefix === undefined) {
+            brand.phones[i] = { ...(typeof entry === "string" ? { name: entry } : entry), file: name };
+            updated.push(`${brand.name}: ${phone}, file "${file}" → "${name}"`);
+        } else {
+            clashes.push(`${brand.name}: ${phone} is listed with other files, "${name}" not added`);
+        }
+    });
+    if ((added.length || updated.length) && !options.dryRun) {
+        fs.writeFileSync(settings.book, JSON.stringify(book, null, 2) + "\n");
+    }
+    return { settings, added, updated, clashes, book, report: checkBook(book, settings, files) };
+}
+
+// ===========================================
+// Command Line
+// ===========================================
+function parseArgs(argv) {
+    let options = {};
+    for (let i = 0; i < argv.length; i++) {
+        let m = argv[i].match(/^--([a-z-]+)$/);
+        if (!m) {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+        let key = m[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (!(key in defaults)) {
+            throw new Error(`Unknown option: --${m[1]}`);
+        }
+        options[key] = (typeof defaults[key] === "boolean") ? true : argv[++i];
+    }
+    return options;
+}
+
+if (require.main === module) {
+    let [command, ...args] = process.argv.slice(2),
+        options, result;
+    try {
+        if (command !== "check" && command !== "build") {
+            throw new Error("Usage: node tools/phone-book.js check|build [--config config.js] [--dir data/] " +
+                "[--book phone_book.json] [--brand name] [--dry-run]");
+        }
+        options = parseArgs(args);
+        result = command === "check" ? check(options) : build(options);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    if (result.added) {
+        result.added.forEach(a => console.log(`added       ${a}`));
+        result.updated.forEach(u => console.log(`updated     ${u}`));
+        result.clashes.forEach(c => console.log(`clash       ${c}`));
+        let changes = result.added.length + result.updated.length;
+        console.log(`${result.added.length} measurement(s) added to ${result.settings.book}` +
+            (result.updated.length ? `, ${result.updated.length} entr${result.updated.length > 1 ? "ies" : "y"} updated` : "") +
+            (changes && options.dryRun ? " (dry run, not written)" : ""));
+    }
+    result.report.forEach(r => console.log(`${r.kind.padEnd(11)} ${r.message}`));
+    console.log(result.report.length ? `${result.report.length} problem(s) in ${result.settings.book}`
+                                     : `${result.settings.book} is valid`);
+    process.exitCode = result.report.length ? 1 : 0;
+}
+
+module.exports = { check, build, validateSchema, loadSettings, parseArgs };
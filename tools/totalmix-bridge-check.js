@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * TotalMix Bridge Check
+ * Connects, sends and reads back EQ with the TotalMix panel's own code (assets/js/totalmix-eq.js),
+ * against the mock bridge (started on a free port) or a running bridge given by --url. A full set
+ * of editor filters is organized into the 12 slots, sent as { filters: [12 bands] } and read back
+ * slot by slot. Against the mock it also checks that a band the slot can not load is rejected.
+ *
+ * Needs Node 18 or newer for fetch.
+ *
+ * Usage:
+ *   node tools/totalmix-bridge-check.js
+ *   node tools/totalmix-bridge-check.js --url http://127.0.0.1:8765 --channel 2
+ */
+'use strict';
+
+const DeviceProfiles = require("../assets/js/device-profiles.js");
+const Equalizer = require("../assets/js/equalizer.js");
+const TotalMixEQ = require("../assets/js/totalmix-eq.js").init({ DeviceProfiles, Equalizer });
+const { createBridge } = require("./mock-totalmix-bridge.js");
+
+// ===========================================
+// Constants
+// ===========================================
+const defaults = {
+    url: null,
+    channel: 0
+};
+const profile = DeviceProfiles.get("totalmix");
+const slots = DeviceProfiles.getSlots(profile, 0);
+
+// ===========================================
+// Checks
+// ===========================================
+function testFilters() {
+    // Editor filters for every slot: 2 low and 3 high shelves, the rest peaks. Values on the
+    // PEQ steps, e.g. Q 0.7, must not be reported as rounded
+    let shelf = (type, freq, gain) => ({ disabled: false, type, freq, q: 0.7, gain });
+    let peaks = new Array(7).fill(null).map((_, i) => ({
+        disabled: false,
+        type: "PK",
+        freq: Math.round(60 * Math.pow(100, i / 6)),
+        q: [0.5, 2.9, 1.41, 0.7, 4.2, 1.1, 2.5][i],
+        gain: (i % 2 ? -1 : 1) * (1 + i / 2)
+    }));
+    return [shelf("LSQ", 40, 3), shelf("LSQ", 105, -1.5), shelf("HSQ", 8000, -2),
+        shelf("HSQ", 10000, 1.5), shelf("HSQ", 12000, -3)].concat(peaks);
+}
+
+async function run(options) {
+    options = { ...defaults, ...options };
+    let bridge = null,
+        url = options.url,
+        failures = 0;
+    let report = (ok, message) => {
+        console.log(`${ok ? "ok  " : "FAIL"} ${message}`);
+        if (!ok) failures++;
+    };
+    if (!url) {
+        bridge = createBridge({ port: 0 });
+        await new Promise(resolve => bridge.listen(resolve));
+        url = `http://127.0.0.1:${bridge.server.address().port}`;
+    }
+    let request = async (path, body) => {
+        let res = await fetch(url + path, body ? {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body)
+        } : {});
+        return { status: res.status, data: await res.json().catch(() => null) };
+    };
+    // Like the panel's bridgeFetch, JSON or an error for failed requests
+    let bridgeFetch = async (path, fetchOptions = {}) => {
+        let res = await fetch(url + path, fetchOptions);
+        if (!res.ok) {
+            throw new Error(`Bridge error ${res.status} on ${path}`);
+        }
+        return res.json();
+    };
+    try {
+        let health = await request("/api/health");
+        report(health.status === 200 || health.status === 404,
+            health.status === 200 ? `health: version ${health.data.version}` : "health: not reported (older bridge)");
+
+        let channels = await request("/api/channels");
+        let list = channels.data && channels.data.channels;
+        report(Array.isArray(list) && list.some(ch => ch.index === options.channel),
+            `channels: ${list ? list.map(ch => ch.name).join(", ") : channels.status}`);
+
+        let filters = testFilters();
+        let organized = TotalMixEQ.organize(filters);
+        report(!organized.error && !organized.modifications.length, organized.error ? `organize: ${organized.error}` :
+            `organize: ${organized.roomEQCount} REQ + ${organized.peqCount} PEQ bands` +
+            (organized.modifications.length ? `, rounded ${organized.modifications.join("; ")}` : ""));
+        if (organized.error) return failures;
+
+        await TotalMixEQ.send(bridgeFetch, options.channel, organized.bands);
+        report(true, `send: ${organized.bands.length} bands to channel ${options.channel}`);
+
+        let bands = await TotalMixEQ.read(bridgeFetch, options.channel);
+        let differences = TotalMixEQ.diff(bands, organized.bands);
+        report(!differences.length, differences.length ? `read: ${differences.join("; ")}` : `read: ${bands.length} bands match`);
+        let readFilters = TotalMixEQ.toFilters(bands);
+        report(readFilters.length === filters.length, `read: ${readFilters.length} of ${filters.length} filters back in the editor`);
+
+        if (bridge) {
+            let slots = DeviceProfiles.getSlots(DeviceProfiles.get("totalmix"), 0);
+            let bad = organized.bands.map((band, i) => i === 1 ? { ...band, type: "HSQ" } : band);
+            let rejected = await request(`/api/channel/${options.channel}/eq`, { filters: bad });
+            report(rejected.status === 400, `reject: HSQ in ${slots[1].name} (${rejected.status})`);
+        }
+
+        // Leave the channel flat
+        await TotalMixEQ.send(bridgeFetch, options.channel, TotalMixEQ.organize([]).bands);
+    } catch (e) {
+        report(false, `${url}: ${e.message}`);
+    } finally {
+        if (bridge) await new Promise(resolve => bridge.close(resolve));
+    }
+    return failures;
+}
+
+// ===========================================
+// Command Line
+// ===========================================
+if (require.main === module) {
+    let options = {};
+    let argv = process.argv.slice(2);
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--url") {
+            options.url = argv[++i];
+        } else if (argv[i] === "--channel") {
+            options.channel = parseInt(argv[++i]);
+        } else {
+            console.error(`Unknown argument: ${argv[i]}`);
+            process.exit(1);
+        }
+    }
+    run(options).then(failures => process.exitCode = failures ? 1 : 0);
+}
+
+module.exports = { run };